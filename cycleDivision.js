@@ -1,37 +1,200 @@
 // Division with cycle detection for repeating decimals
 
-function divide(numerator, denominator) {
-    if (denominator === 0) throw new Error("Division by zero")
+// divide() - Exact expansion of numerator / denominator, the repeating
+// part marked by the notation. Operands may be numbers, BigInts, or
+// integer/decimal strings ("1.5", "-2e-3"), always read in base 10; numbers
+// are taken as the decimal they print as, so 0.7 is exactly 7/10. BigInt
+// arithmetic throughout, so any size stays exact.
+//   { radix }      output base, 2 to 36 (10)
+//   { notation }   how the repetend (repeating part) is shown, for 1/6:
+//                    "parentheses"  0.1(6)  (default)
+//                    "overline"     0.16̅    (U+0305 on each repeating digit)
+//                    "ellipsis"     0.1666…
+//                    "latex"        0.1\overline{6}
+//                    "object"       { sign, integer, prefix, repetend }
+//                                   ("" if none) and { truncated }
+//   { maxDigits }  stop after this many digits (default: no limit); a
+//                  result cut short reads "≈0.0123…" instead of a cycle
+function divide(numerator, denominator, { notation = "parentheses", ...options } = {}) {
+    const format = notations[notation]
+    if (!format) throw new Error("Unknown notation: " + notation)
+    return format(expand(numerator, denominator, options))
+}
 
-    const sign = (numerator < 0) !== (denominator < 0) ? "-" : ""
-    numerator = Math.abs(numerator)
-    denominator = Math.abs(denominator)
+// expand() - The digits of numerator / denominator, split into parts
+function expand(numerator, denominator, { radix = 10, maxDigits = Infinity } = {}) {
+    if (!Number.isInteger(radix) || radix < 2 || radix > 36) throw new RangeError("Radix must be 2 to 36: " + radix)
+    const [n, nScale] = toDecimal(numerator)
+    const [d, dScale] = toDecimal(denominator)
+    if (d === 0n) throw new Error("Division by zero")
 
-    const intPart = Math.floor(numerator / denominator)
-    let remainder = numerator % denominator
+    // n / 10^nScale ÷ d / 10^dScale = n·10^dScale / d·10^nScale
+    let dividend = n * 10n ** BigInt(dScale)
+    let divisor = d * 10n ** BigInt(nScale)
+    const sign = dividend !== 0n && (dividend < 0n) !== (divisor < 0n) ? "-" : ""
+    if (dividend < 0n) dividend = -dividend
+    if (divisor < 0n) divisor = -divisor
 
-    if (remainder === 0) return sign + intPart
+    const base = BigInt(radix)
+    const parts = { sign, integer: (dividend / divisor).toString(radix), prefix: "", repetend: "", truncated: false }
+    let remainder = dividend % divisor
 
     const seen = new Map()  // remainder → position (cycle detection)
-    const decimals = []
+    const digits = []
 
-    while (remainder !== 0) {
+    while (remainder !== 0n) {
         if (seen.has(remainder)) {
             // Cycle detected! Same remainder = same future
             const cycleStart = seen.get(remainder)
-            const nonRepeat = decimals.slice(0, cycleStart).join("")
-            const repeat = decimals.slice(cycleStart).join("")
-            return sign + intPart + "." + nonRepeat + "(" + repeat + ")"
+            parts.prefix = digits.slice(0, cycleStart).join("")
+            parts.repetend = digits.slice(cycleStart).join("")
+            return parts
+        }
+        if (digits.length >= maxDigits) {
+            // Out of budget before the cycle closed: only a prefix is known
+            parts.truncated = true
+            break
         }
 
-        seen.set(remainder, decimals.length)
-        remainder *= 10
-        decimals.push(Math.floor(remainder / denominator))
-        remainder %= denominator
+        seen.set(remainder, digits.length)
+        remainder *= base
+        digits.push((remainder / divisor).toString(radix))
+        remainder %= divisor
     }
 
     // Terminates (no cycle)
-    return sign + intPart + "." + decimals.join("")
+    parts.prefix = digits.join("")
+    return parts
+}
+
+// Every notation writes sign, integer and prefix alike; they differ in the
+// repetend, and in how a truncated result is flagged
+const notations = {
+    parentheses: parts => plain(parts, repetend => "(" + repetend + ")"),
+    overline: parts => plain(parts, repetend => repetend.replace(/./g, "$&\u0305")),
+    ellipsis: parts => plain(parts, repetend => repetend.repeat(Math.max(2, Math.ceil(3 / repetend.length))) + "…"),
+    latex: ({ sign, integer, prefix, repetend, truncated }) =>
+        (truncated ? "\\approx " : "") + sign + integer + (prefix || repetend ? "." + prefix : "") +
+        (repetend ? "\\overline{" + repetend + "}" : "") + (truncated ? "\\ldots" : ""),
+    object: parts => parts
+}
+
+function plain({ sign, integer, prefix, repetend, truncated }, showRepetend) {
+    const fraction = prefix + (repetend && showRepetend(repetend))
+    const number = sign + integer + (fraction ? "." + fraction : "")
+    return truncated ? "≈" + number + "…" : number
+}
+
+// toDecimal() - [digits, scale] with value = digits / 10^scale, both exact
+function toDecimal(value) {
+    if (typeof value === "bigint") return [value, 0]
+    if (typeof value === "number") {
+        if (!Number.isFinite(value)) throw new RangeError("Not a finite number: " + value)
+        value = String(value)   // shortest decimal that reads back as value
+    }
+    const match = typeof value === "string" && /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(value.trim())
+    if (!match || !(match[2] || match[3])) throw new TypeError("Not a decimal number: " + value)
+    const [, sign, whole, fraction = "", exponent = "0"] = match
+    const digits = BigInt(sign + (whole + fraction))
+    const scale = fraction.length - Number(exponent)
+    return scale < 0 ? [digits * 10n ** BigInt(-scale), 0] : [digits, scale]
+}
+
+// Rational - Exact fraction over BigInts, always reduced, the sign on the
+// numerator. Immutable: arithmetic returns new ones. Anything
+// Rational.from() takes can be an operand: 1, 2n, "0.25", "2.5e-3", "0.1(6)",
+// "22/7". Plain decimal strings are read like divide() reads them.
+//   Rational.parse("0.1(6)")         1/6, the inverse of divide()
+//   a.add(b) .sub(b) .mul(b) .div(b) .compare(b) → -1 | 0 | 1  .equals(b)
+//   a.toString(divideOptions)        through divide(): "0.1(6)"
+//   a.toFraction()                   "1/6"
+class Rational {
+    constructor(numerator, denominator = 1n) {
+        numerator = BigInt(numerator)
+        denominator = BigInt(denominator)
+        if (denominator === 0n) throw new Error("Division by zero")
+        if (denominator < 0n) {
+            numerator = -numerator
+            denominator = -denominator
+        }
+        const divisor = gcd(numerator, denominator)
+        this.numerator = numerator / divisor
+        this.denominator = denominator / divisor
+        Object.freeze(this)
+    }
+
+    static from(value) {
+        if (value instanceof Rational) return value
+        if (typeof value === "string" && /[(/]/.test(value)) return Rational.parse(value)
+        const [digits, scale] = toDecimal(value)
+        return new Rational(digits, 10n ** BigInt(scale))
+    }
+
+    // parse() - "3", "-0.25", "0.1(6)", "-1.(6)", "22/7"; with { radix },
+    // digits in that base, as divide(a, b, { radix }) writes them
+    static parse(text, { radix = 10 } = {}) {
+        const fraction = /^\s*([^/]+)\/([^/]+)$/.exec(text)
+        if (fraction) return Rational.parse(fraction[1], { radix }).div(Rational.parse(fraction[2], { radix }))
+        const match = /^\s*([+-]?)(\w*)(?:\.(\w*)(?:\((\w+)\))?)?\s*$/.exec(text)
+        if (!match || !(match[2] || match[3] || match[4])) throw new SyntaxError("Not a repeating decimal: " + text)
+        const [, sign, integer, prefix = "", repetend = ""] = match
+        const base = BigInt(radix)
+        // x = integer + prefix / base^k + repetend / (base^k · (base^m - 1))
+        const shift = base ** BigInt(prefix.length)
+        const period = repetend ? base ** BigInt(repetend.length) - 1n : 1n
+        const numerator = (toInteger(integer, radix) * shift + toInteger(prefix, radix)) * period +
+            toInteger(repetend, radix)
+        return new Rational(sign === "-" ? -numerator : numerator, shift * period)
+    }
+
+    add(other) {
+        const { numerator, denominator } = Rational.from(other)
+        return new Rational(this.numerator * denominator + numerator * this.denominator, this.denominator * denominator)
+    }
+    sub(other) {
+        const { numerator, denominator } = Rational.from(other)
+        return new Rational(this.numerator * denominator - numerator * this.denominator, this.denominator * denominator)
+    }
+    mul(other) {
+        const { numerator, denominator } = Rational.from(other)
+        return new Rational(this.numerator * numerator, this.denominator * denominator)
+    }
+    div(other) {
+        const { numerator, denominator } = Rational.from(other)
+        return new Rational(this.numerator * denominator, this.denominator * numerator)
+    }
+    compare(other) {
+        const { numerator, denominator } = Rational.from(other)
+        const difference = this.numerator * denominator - numerator * this.denominator
+        return difference < 0n ? -1 : difference > 0n ? 1 : 0
+    }
+    equals(other) {
+        return this.compare(other) === 0
+    }
+
+    toString(options) {
+        return divide(this.numerator, this.denominator, options)
+    }
+    toFraction() {
+        return this.denominator === 1n ? String(this.numerator) : `${this.numerator}/${this.denominator}`
+    }
+}
+
+function gcd(a, b) {
+    if (a < 0n) a = -a
+    while (b !== 0n) [a, b] = [b, a % b]
+    return a || 1n
+}
+
+// Digits in radix as a BigInt; "" is 0
+function toInteger(digits, radix) {
+    let value = 0n
+    for (const char of digits.toLowerCase()) {
+        const digit = parseInt(char, 36)
+        if (!(digit < radix)) throw new SyntaxError(`Not a base-${radix} digit: ${char}`)
+        value = value * BigInt(radix) + BigInt(digit)
+    }
+    return value
 }
 
 // Demo
@@ -42,3 +205,48 @@ console.log(divide(22, 7))   // 3.(142857)
 console.log(divide(1, 4))    // 0.25
 console.log(divide(1, 81))   // 0.(012345679)
 console.log(divide(-5, 3))   // -1.(6)
+
+// Decimals, BigInts and strings: exact at any size
+console.log(divide(1.5, 0.7))                         // 2.(142857)
+console.log(divide("0.1", "3"))                       // 0.0(3)
+console.log(divide("-2.5e-3", 4))                     // -0.000625
+console.log(divide(2n ** 100n, 3n))                   // 422550200076076467165567735125.(3)
+console.log(divide("12345678901234567890123456789", "0.9"))   // 13717421001371742100137174210
+// 1/7919 repeats every 7918 digits: cut it short
+console.log(divide(1, 7919, { maxDigits: 20 }))       // ≈0.00012627857052658163…
+
+// Other bases: 1/10 never terminates in binary, hence 0.1 + 0.2 !== 0.3
+console.log(divide(1, 10, { radix: 2 }))              // 0.0(0011)
+console.log(divide(1, 3, { radix: 3 }))               // 0.1
+console.log(divide(255, 16, { radix: 16 }))           // f.f
+console.log(divide(1, 7, { radix: 2 }))               // 0.(001)
+
+// Notations for 1/6
+for (const notation of ["parentheses", "overline", "ellipsis", "latex"]) {
+    console.log(notation.padEnd(11), divide(1, 6, { notation }))
+}
+// parentheses 0.1(6)   overline 0.16̅   ellipsis 0.1666…   latex 0.1\overline{6}
+console.log(divide(-22, 7, { notation: "object" }))
+// { sign: '-', integer: '3', prefix: '', repetend: '142857', truncated: false }
+
+// Rational: the way back, and exact arithmetic on the results
+const sixth = Rational.parse("0.1(6)")
+console.log(sixth.toFraction(), Rational.parse("-1.(6)").toFraction(), Rational.parse("3.(142857)").toFraction())
+// 1/6 -5/3 22/7
+console.log(sixth.add("0.(3)").toString())            // 0.5
+console.log(Rational.from(0.1).add(0.2).equals(0.3))  // true: no binary rounding here
+console.log(Rational.parse("0.0(0011)", { radix: 2 }).toFraction())   // 1/10
+console.log(new Rational(1n, 3n).mul(3).compare(1))   // 0
+
+// Round trip: Rational.parse(divide(a, b)) is a/b
+let roundTrips = 0
+for (let a = -30; a <= 30; a++) {
+    for (let b = 1; b <= 60; b++) {
+        for (const radix of [2, 10, 16]) {
+            const text = divide(a, b, { radix })
+            if (!Rational.parse(text, { radix }).equals(new Rational(a, b))) throw new Error(`${a}/${b} ≠ ${text}`)
+            roundTrips++
+        }
+    }
+}
+console.log("round trips:", roundTrips)               // 10980
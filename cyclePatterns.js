@@ -19,68 +19,121 @@
  * Computed:   state = node        → cycle = any re-entry (error)
  * MemoizedFn: state = node + args → cycle = same args in-flight (error)
  *                                   different args = allowed (recursion)
+ *
+ * Errors carry the whole chain: total → tax → subtotal → total
+ *
+ * Iterated functions: state = x in x → f(x) → cycle = period (valid);
+ * Floyd and Brent find it without remembering the states
+ *
+ * Graphs:  state = node on the walk     → cycle = strongly connected component
+ * Objects: state = object on the path   → cycle = reference back to a container
+ * Serialization: state = object written → revisit = {"$ref": "#/a/b"} (valid)
  */
 
+// CycleError - path is every state from the first visit to the revisit
+class CycleError extends Error {
+    constructor(path) {
+        super("Cycle detected: " + path.join(" → "))
+        this.name = "CycleError"
+        this.path = path
+    }
+}
+
 // Generic cycle detection - same pattern, domain-specific response
-function cycleDetector(onCycle = "throw") {
-    const seen = new Map()
-    let position = 0
+//   check(state)  visit a state (sequence: division remainders)
+//   leave(state)  pop it again (stack: nested computations)
+function cycleDetector(onCycle = "throw", label = String) {
+    const seen = new Map()   // state → position in path
+    const path = []
     return {
         check(state) {
             if (seen.has(state)) {
-                if (onCycle === "throw") throw new Error("Cycle detected")
-                return { cycle: true, start: seen.get(state), end: position }
+                const start = seen.get(state)
+                if (onCycle === "throw") throw new CycleError([...path.slice(start), state].map(label))
+                return { cycle: true, start, end: path.length }
             }
-            seen.set(state, position++)
+            seen.set(state, path.length)
+            path.push(state)
             return { cycle: false }
         },
-        clear() { seen.clear(); position = 0 }
+        leave(state) {
+            if (path[path.length - 1] !== state) throw new Error("leave() out of order")
+            seen.delete(state)
+            path.pop()
+        },
+        clear() { seen.clear(); path.length = 0 }
     }
 }
 
 // === Division: cycle = repeating decimal → encode as (...) ===
 
-function divide(numerator, denominator) {
-    if (denominator === 0) throw new Error("Division by zero")
+// divide() - Exact for numbers, BigInts and integer/decimal strings
+// (numbers read as the decimal they print as); { maxDigits } caps the
+// expansion, marking a cut-short result "≈0.0123…". Other radixes and
+// notations: see cycleDivision.js
+function divide(numerator, denominator, { maxDigits = Infinity } = {}) {
+    const [n, nScale] = toDecimal(numerator)
+    const [d, dScale] = toDecimal(denominator)
+    if (d === 0n) throw new Error("Division by zero")
 
-    const sign = (numerator < 0) !== (denominator < 0) ? "-" : ""
-    numerator = Math.abs(numerator)
-    denominator = Math.abs(denominator)
+    let dividend = n * 10n ** BigInt(dScale)     // same scale: an integer ratio
+    let divisor = d * 10n ** BigInt(nScale)
+    const sign = dividend !== 0n && (dividend < 0n) !== (divisor < 0n) ? "-" : ""
+    if (dividend < 0n) dividend = -dividend
+    if (divisor < 0n) divisor = -divisor
 
-    const intPart = Math.floor(numerator / denominator)
-    let remainder = numerator % denominator
+    const intPart = dividend / divisor
+    let remainder = dividend % divisor
 
-    if (remainder === 0) return sign + intPart
+    if (remainder === 0n) return sign + intPart
 
     const detector = cycleDetector("return")
     const decimals = []
 
-    while (remainder !== 0) {
+    while (remainder !== 0n) {
         const result = detector.check(remainder)
         if (result.cycle) {
             const nonRepeat = decimals.slice(0, result.start).join("")
             const repeat = decimals.slice(result.start).join("")
             return sign + intPart + "." + nonRepeat + "(" + repeat + ")"
         }
-        remainder *= 10
-        decimals.push(Math.floor(remainder / denominator))
-        remainder %= denominator
+        if (decimals.length >= maxDigits) return "≈" + sign + intPart + "." + decimals.join("") + "…"
+        remainder *= 10n
+        decimals.push(remainder / divisor)
+        remainder %= divisor
     }
     return sign + intPart + "." + decimals.join("")
 }
 
+// [digits, scale] with value = digits / 10^scale
+function toDecimal(value) {
+    if (typeof value === "bigint") return [value, 0]
+    if (typeof value === "number") {
+        if (!Number.isFinite(value)) throw new RangeError("Not a finite number: " + value)
+        value = String(value)
+    }
+    const match = typeof value === "string" && /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(value.trim())
+    if (!match || !(match[2] || match[3])) throw new TypeError("Not a decimal number: " + value)
+    const [, sign, whole, fraction = "", exponent = "0"] = match
+    const digits = BigInt(sign + (whole + fraction))
+    const scale = fraction.length - Number(exponent)
+    return scale < 0 ? [digits * 10n ** BigInt(-scale), 0] : [digits, scale]
+}
+
 // === Computed: cycle = infinite recursion → throw error ===
 
 function val(v) {
     return { _v: v, get value() { return this._v }, set value(v) { this._v = v } }
 }
 
-const computeStack = cycleDetector("throw")
+const computeStack = cycleDetector("throw", node => node.description)
 
-function computed(deps, fn) {
-    const node = Symbol()  // unique identity
+function computed(deps, fn, label = "computed") {
+    const node = Symbol(label)  // unique identity
     let lastInputs = [], cached
     return {
+        label,
+        deps,                       // for walking the graph, see topoSort()
         get value() {
             computeStack.check(node)
             try {
@@ -89,7 +142,7 @@ function computed(deps, fn) {
                 if (changed) { cached = fn(...inputs); lastInputs = inputs }
                 return cached
             } finally {
-                computeStack.clear()  // reset for next computation chain
+                computeStack.leave(node)  // outer computations stay on the stack
             }
         }
     }
@@ -99,23 +152,526 @@ function computed(deps, fn) {
 
 const COMPUTING = Symbol('computing')
 
-function memoizedFn(fn) {
+function memoizedFn(fn, label = fn.name || "memoized") {
     const cache = new Map()
+    const inFlight = []              // keys being computed, outermost first
+    const call = key => `${label}(${key.slice(1, -1)})`
 
     return function memoized(...args) {
-        const key = JSON.stringify(args)
+        const key = serialize(args)      // circular args are fine too
 
         if (cache.has(key)) {
             const val = cache.get(key)
-            if (val === COMPUTING) throw new Error(`Cycle at args: ${key}`)
+            if (val === COMPUTING) {
+                const path = [...inFlight.slice(inFlight.indexOf(key)), key]
+                throw new CycleError(path.map(call))
+            }
             return val  // cached result
         }
 
         cache.set(key, COMPUTING)    // mark "in progress"
-        const result = fn(...args)
-        cache.set(key, result)       // store result
-        return result
+        inFlight.push(key)
+        try {
+            const result = fn(...args)
+            cache.set(key, result)   // store result
+            return result
+        } catch (e) {
+            cache.delete(key)        // not a cycle next time
+            throw e
+        } finally {
+            inFlight.pop()
+        }
+    }
+}
+
+// === Iterated functions: x → f(x) → ... ends in a cycle (finite states) ===
+
+// findCycle() - Tail length mu (steps before the cycle) and cycle length
+// lambda of x0, f(x0), f(f(x0)), ...
+//   { algorithm: "brent" }  O(1) memory, fewest calls of f (default)
+//   { algorithm: "floyd" }  O(1) memory, tortoise and hare
+//   { algorithm: "map" }    cycleDetector: one entry per state
+//   { equals }              state comparison (Object.is; "map" uses Map keys)
+//   { limit }               give up after this many steps → null
+function findCycle(f, x0, options) {
+    return cycleOf(() => {
+        let x, started = false
+        return () => started ? (x = f(x)) : (started = true, x = x0)
+    }, options)
+}
+
+// findCycleIn() - findCycle() over the values of any iterator, closure-based
+// ones included. Floyd and Brent walk the sequence more than once, so pass a
+// function returning a fresh iterator, or an iterable making one per loop.
+// A bare iterator (just next(), or a [Symbol.iterator] returning itself) can
+// only be walked once: it gets the single-pass "map" algorithm, and asking
+// for another one is a TypeError.
+// Values stand in for the state: a value repeating without the state
+// repeating gives a wrong answer. null if the iterator ends.
+function findCycleIn(source, options = {}) {
+    let fresh = source
+    if (typeof source !== "function") {
+        const first = typeof source?.[Symbol.iterator] === "function" ? source[Symbol.iterator]() : source
+        if (typeof first?.next !== "function") throw new TypeError("Not an iterator or iterable: " + String(source))
+        if (first === source) {
+            const { algorithm = "map" } = options
+            if (algorithm !== "map") {
+                throw new TypeError(`findCycleIn(): "${algorithm}" walks the sequence more than once, ` +
+                    "but this iterator can only be walked once; pass a function returning a fresh one")
+            }
+            return cycleOf(() => values(source), { ...options, algorithm })
+        }
+        let unused = first
+        fresh = () => {
+            const iterator = unused ?? source[Symbol.iterator]()
+            unused = null
+            return iterator
+        }
+    }
+    return cycleOf(() => values(fresh()), options)
+}
+
+function values(iterator) {
+    return () => {
+        const { value, done } = iterator.next()
+        if (done) throw END
+        return value
+    }
+}
+
+const END = Symbol("end")
+
+// walk() starts the sequence over; each call of what it returns is the next
+// value, x0 first
+function cycleOf(walk, { algorithm = "brent", equals = Object.is, limit = Infinity } = {}) {
+    const algorithms = { floyd, brent, map: mapCycle }
+    if (!algorithms[algorithm]) throw new Error("Unknown algorithm: " + algorithm)
+    let steps = 0
+    const counted = () => {
+        const step = walk()
+        return () => {
+            if (++steps > limit) throw END
+            return step()
+        }
+    }
+    try {
+        return algorithms[algorithm](counted, equals)
+    } catch (e) {
+        if (e === END) return null
+        throw e
+    }
+}
+
+function floyd(walk, equals) {
+    const tortoise = walk(), hare = walk()
+    let t = tortoise(), h = hare()
+    do {
+        t = tortoise()
+        hare()
+        h = hare()
+    } while (!equals(t, h))
+    // the hare is now as far from the cycle's start as x0 is
+    const fromStart = walk()
+    let mu = 0
+    for (t = fromStart(); !equals(t, h); mu++) {
+        t = fromStart()
+        h = hare()
+    }
+    let lambda = 1
+    for (h = hare(); !equals(t, h); lambda++) h = hare()
+    return { mu, lambda }
+}
+
+function brent(walk, equals) {
+    const hare = walk()
+    let t = hare(), h = hare()
+    let power = 1, lambda = 1
+    while (!equals(t, h)) {
+        if (power === lambda) {     // tortoise teleports to the hare
+            t = h
+            power *= 2
+            lambda = 0
+        }
+        h = hare()
+        lambda++
+    }
+    // two pointers lambda apart first meet at the cycle's start
+    const ahead = walk(), behind = walk()
+    let a, b = behind()
+    for (let i = 0; i <= lambda; i++) a = ahead()
+    let mu = 0
+    for (; !equals(a, b); mu++) {
+        a = ahead()
+        b = behind()
+    }
+    return { mu, lambda }
+}
+
+function mapCycle(walk) {
+    const detector = cycleDetector("return")
+    const step = walk()
+    for (;;) {
+        const { cycle, start, end } = detector.check(step())
+        if (cycle) return { mu: start, lambda: end - start }
+    }
+}
+
+// === Graphs: cycle = strongly connected component (SCC) ===
+
+// A graph is either a Map / plain object of node → the nodes it depends on,
+// or { edges } given: then graph is the start nodes and edges(node) lists
+// each node's dependencies, so nodes are discovered as the walk goes.
+// Walks are iterative: deep graphs don't overflow the stack.
+function adjacency(graph, edges) {
+    if (edges) return { nodes: [...graph], edges: node => edges(node) ?? [] }
+    const map = graph instanceof Map ? graph : new Map(Object.entries(graph))
+    return { nodes: [...map.keys()], edges: node => map.get(node) ?? [] }
+}
+
+// stronglyConnected() - Nodes grouped into components that all reach each
+// other, dependencies first: a component only depends on earlier ones
+//   { algorithm: "tarjan" }    one pass (default)
+//   { algorithm: "kosaraju" }  two passes, the second over reversed edges
+//   { edges }                  see adjacency()
+function stronglyConnected(graph, { algorithm = "tarjan", edges } = {}) {
+    const algorithms = { tarjan, kosaraju }
+    if (!algorithms[algorithm]) throw new Error("Unknown algorithm: " + algorithm)
+    return algorithms[algorithm](adjacency(graph, edges))
+}
+
+function tarjan({ nodes, edges }) {
+    const index = new Map(), low = new Map()
+    const stack = [], onStack = new Set(), components = []
+    const visit = node => {
+        index.set(node, index.size)
+        low.set(node, index.get(node))
+        stack.push(node)
+        onStack.add(node)
+        return { node, next: edges(node)[Symbol.iterator]() }
+    }
+    for (const root of nodes) {
+        if (index.has(root)) continue
+        const work = [visit(root)]
+        while (work.length) {
+            const { node, next } = work[work.length - 1]
+            const { value: dep, done } = next.next()
+            if (!done) {
+                if (!index.has(dep)) work.push(visit(dep))
+                else if (onStack.has(dep)) low.set(node, Math.min(low.get(node), index.get(dep)))
+                continue
+            }
+            work.pop()
+            if (work.length) {
+                const parent = work[work.length - 1].node
+                low.set(parent, Math.min(low.get(parent), low.get(node)))
+            }
+            if (low.get(node) !== index.get(node)) continue
+            const component = []     // node is the root of one: pop it whole
+            let member
+            do {
+                member = stack.pop()
+                onStack.delete(member)
+                component.push(member)
+            } while (member !== node)
+            components.push(component.reverse())
+        }
+    }
+    return components
+}
+
+function kosaraju({ nodes, edges }) {
+    // pass 1: finishing order, collecting the reversed edges on the way
+    const finished = [], seen = new Set(), reversed = new Map()
+    for (const root of nodes) {
+        if (seen.has(root)) continue
+        seen.add(root)
+        const work = [{ node: root, next: edges(root)[Symbol.iterator]() }]
+        while (work.length) {
+            const { node, next } = work[work.length - 1]
+            const { value: dep, done } = next.next()
+            if (done) {
+                finished.push(work.pop().node)
+                continue
+            }
+            if (!reversed.has(dep)) reversed.set(dep, [])
+            reversed.get(dep).push(node)
+            if (seen.has(dep)) continue
+            seen.add(dep)
+            work.push({ node: dep, next: edges(dep)[Symbol.iterator]() })
+        }
+    }
+    // pass 2: latest finished first, over reversed edges: each tree is one
+    // component, found dependents first
+    const components = [], assigned = new Set()
+    for (const root of finished.reverse()) {
+        if (assigned.has(root)) continue
+        const component = [root], work = [root]
+        assigned.add(root)
+        while (work.length) {
+            for (const dependent of reversed.get(work.pop()) ?? []) {
+                if (assigned.has(dependent)) continue
+                assigned.add(dependent)
+                component.push(dependent)
+                work.push(dependent)
+            }
+        }
+        components.push(component)
+    }
+    return components.reverse()
+}
+
+// findCycles() - One closed path per cyclic component (a self-loop counts),
+// e.g. [["total", "subtotal", "total"]]; shortest through its first node
+function findCycles(graph, options = {}) {
+    return cyclesIn(stronglyConnected(graph, options), adjacency(graph, options.edges).edges)
+}
+
+function cyclesIn(components, edges) {
+    return components
+        .filter(([first, ...rest]) => rest.length > 0 || [...edges(first)].includes(first))
+        .map(component => {
+            const members = new Set(component)
+            const start = component[0]
+            const parent = new Map()    // breadth-first, back to start
+            const queue = [start]
+            while (queue.length) {
+                const node = queue.shift()
+                for (const dep of edges(node)) {
+                    if (dep === start) {
+                        const path = [start]
+                        for (let at = node; at !== start; at = parent.get(at)) path.push(at)
+                        return [start, ...path.slice(1).reverse(), start]
+                    }
+                    if (!members.has(dep) || parent.has(dep)) continue
+                    parent.set(dep, node)
+                    queue.push(dep)
+                }
+            }
+        })
+}
+
+// topoSort() - Every node after its dependencies; if that's impossible,
+// throws a CycleError for the first cycle, with all of them in .cycles
+//   { label }    node → name for the error (String)
+function topoSort(graph, { label = String, ...options } = {}) {
+    const components = stronglyConnected(graph, options)
+    const cycles = cyclesIn(components, adjacency(graph, options.edges).edges)
+    if (cycles.length) {
+        const error = new CycleError(cycles[0].map(label))
+        error.cycles = cycles
+        throw error
+    }
+    return components.map(([node]) => node)
+}
+
+// === Object graphs: cycle = a reference back to an object still being walked ===
+
+// findReferenceCycles() - Every reference, from an object reachable from
+// root, back to one of its own containers: JSON.stringify would throw on
+// these. Shared references that don't loop are fine and not reported.
+// Follows own enumerable properties (symbols too), Map values, Set members.
+//   → [{ from: "$.child.parent", to: "$", loop: [".child", ".parent"] }]
+//     meaning $.child.parent === $
+function findReferenceCycles(root, { name = "$" } = {}) {
+    const cycles = []
+    if (!isObject(root)) return cycles
+    const depth = new Map()      // object on the current path → its depth
+    const finished = new WeakSet()
+    const path = [], work = []
+    const enter = (object, segment) => {
+        depth.set(object, work.length)
+        path.push(segment)
+        work.push({ object, next: references(object) })
+    }
+    enter(root, name)
+    while (work.length) {
+        const { value, done } = work[work.length - 1].next.next()
+        if (done) {
+            const { object } = work.pop()
+            depth.delete(object)
+            finished.add(object)
+            path.pop()
+            continue
+        }
+        const [segment, child] = value
+        if (!isObject(child) || finished.has(child)) continue
+        if (depth.has(child)) {
+            const at = depth.get(child)
+            cycles.push({
+                from: path.join("") + segment,
+                to: path.slice(0, at + 1).join(""),
+                loop: [...path.slice(at + 1), segment]
+            })
+            continue
+        }
+        enter(child, segment)
+    }
+    return cycles
+}
+
+function isObject(value) {
+    return (typeof value === "object" && value !== null) || typeof value === "function"
+}
+
+// [segment, value] for everything object refers to, segments as in source:
+// .name, [0], ["odd key"], [Symbol(tag)], .get("key"), .values()[0]
+function* references(object) {
+    if (object instanceof Map) {
+        for (const [key, value] of object) yield [`.get(${formatKey(key)})`, value]
+    } else if (object instanceof Set) {
+        let i = 0
+        for (const value of object) yield [`.values()[${i++}]`, value]
+    }
+    for (const key of Reflect.ownKeys(object)) {
+        if (!Object.prototype.propertyIsEnumerable.call(object, key)) continue
+        const segment = typeof key === "symbol" ? `[${key.toString()}]`
+            : Array.isArray(object) && /^\d+$/.test(key) ? `[${key}]`
+            : /^[A-Za-z_$][\w$]*$/.test(key) ? "." + key
+            : `[${JSON.stringify(key)}]`
+        yield [segment, object[key]]
+    }
+}
+
+function formatKey(key) {
+    if (typeof key === "string") return JSON.stringify(key)
+    if (isObject(key)) return key.constructor?.name ? `<${key.constructor.name}>` : "<object>"
+    return String(key)
+}
+
+// === Serialization: cycle = object written before → {"$ref": pointer} ===
+
+// serialize() - JSON text for values JSON.stringify can't handle. An object
+// met a second time, shared or circular, becomes {"$ref": "#/json/pointer"}
+// to where it was first written; other values JSON lacks become
+// {"$type": name, "value": data}: undefined, NaN/±Infinity/-0, BigInt,
+// Date, Map, Set and class instances (own enumerable properties).
+//   { types }    classes to round-trip (see deserialize), each either
+//                the class or { type, name?, encode(instance) → data,
+//                decode(data) → instance }
+//   { space }    as in JSON.stringify
+// Functions and symbols are not data: they throw.
+function serialize(value, { types = [], space } = {}) {
+    const registry = new Map(types.map(typeEntry).map(entry => [entry.type, entry]))
+    const seen = new Map()       // object → pointer it was first written at
+    const tagged = (name, data) => data === undefined ? { $type: name } : { $type: name, value: data }
+
+    function encode(value, pointer) {
+        switch (typeof value) {
+            case "undefined": return tagged("undefined")
+            case "bigint": return tagged("BigInt", value.toString())
+            case "number":
+                return Number.isFinite(value) && !Object.is(value, -0) ? value
+                    : tagged("Number", Object.is(value, -0) ? "-0" : String(value))
+            case "function":
+            case "symbol": throw new TypeError(`Can't serialize a ${typeof value} (at #${pointer})`)
+        }
+        if (value === null || typeof value !== "object") return value
+        if (seen.has(value)) return { $ref: "#" + seen.get(value) }
+        seen.set(value, pointer)
+
+        if (Array.isArray(value)) return value.map((item, i) => encode(item, `${pointer}/${i}`))
+        const inner = `${pointer}/value`
+        if (value instanceof Date) return tagged("Date", encode(value.getTime(), inner))   // an invalid one: NaN
+        if (value instanceof Map) {
+            return tagged("Map", [...value].map(([k, v], i) => [encode(k, `${inner}/${i}/0`), encode(v, `${inner}/${i}/1`)]))
+        }
+        if (value instanceof Set) return tagged("Set", [...value].map((item, i) => encode(item, `${inner}/${i}`)))
+        const proto = Object.getPrototypeOf(value)
+        if (proto === Object.prototype || proto === null) {
+            // keys that would read as markers go inside an explicit wrapper
+            if (!Object.hasOwn(value, "$ref") && !Object.hasOwn(value, "$type")) return encodeProperties(value, pointer)
+            return tagged("Object", encodeProperties(value, inner))
+        }
+        const entry = registry.get(value.constructor)
+        const name = entry?.name ?? value.constructor?.name ?? "Object"
+        if (entry?.encode) return tagged(name, encode(entry.encode(value), inner))
+        return tagged(name, encodeProperties(value, inner))
+    }
+
+    function encodeProperties(object, pointer) {
+        const data = {}
+        for (const key of Object.keys(object)) data[key] = encode(object[key], `${pointer}/${escapePointer(key)}`)
+        return data
+    }
+
+    return JSON.stringify(encode(value, ""), null, space)
+}
+
+// deserialize() - The value back from serialize(), shared and circular
+// references included. { types } must list the classes serialized: an
+// unknown $type throws. A class without decode() is rebuilt in place from
+// its prototype, so references back into it work; with decode() the data
+// is decoded first, and a reference to the instance from inside it throws.
+function deserialize(text, { types = [] } = {}) {
+    const registry = new Map(types.map(typeEntry).map(entry => [entry.name, entry]))
+    const decoded = new Map()    // pointer → value, for $ref
+
+    function decode(data, pointer) {
+        if (data === null || typeof data !== "object") return data
+        if (Array.isArray(data)) {
+            const array = []
+            decoded.set(pointer, array)
+            data.forEach((item, i) => array.push(decode(item, `${pointer}/${i}`)))
+            return array
+        }
+        if (typeof data.$ref === "string" && Object.keys(data).length === 1) {
+            const target = data.$ref.slice(1)
+            if (!decoded.has(target)) throw new Error(`Unresolved reference ${data.$ref}`)
+            return decoded.get(target)
+        }
+        if (typeof data.$type !== "string") return decodeProperties({}, data, pointer)
+
+        const inner = `${pointer}/value`
+        switch (data.$type) {
+            case "undefined": return undefined
+            case "Number": return Number(data.value)
+            case "BigInt": return BigInt(data.value)
+            case "Date": return keep(new Date(decode(data.value, inner)))
+            case "Object": return decodeProperties(keep({}), data.value, inner)
+            case "Map": {
+                const map = keep(new Map())
+                data.value.forEach(([k, v], i) => map.set(decode(k, `${inner}/${i}/0`), decode(v, `${inner}/${i}/1`)))
+                return map
+            }
+            case "Set": {
+                const set = keep(new Set())
+                data.value.forEach((item, i) => set.add(decode(item, `${inner}/${i}`)))
+                return set
+            }
+        }
+        const entry = registry.get(data.$type)
+        if (!entry) throw new TypeError(`Unknown type "${data.$type}": pass its class in { types }`)
+        if (entry.decode) return keep(entry.decode(decode(data.value, inner)))
+        return decodeProperties(keep(Object.create(entry.type.prototype)), data.value, inner)
+
+        function keep(value) {
+            decoded.set(pointer, value)
+            return value
+        }
+    }
+
+    function decodeProperties(object, data, pointer) {
+        decoded.set(pointer, object)
+        for (const key of Object.keys(data)) {
+            Object.defineProperty(object, key, {       // "__proto__" is just a key
+                value: decode(data[key], `${pointer}/${escapePointer(key)}`),
+                enumerable: true, writable: true, configurable: true
+            })
+        }
+        return object
     }
+
+    return decode(JSON.parse(text), "")
+}
+
+function typeEntry(entry) {
+    const { type, name = type.name, encode, decode } = typeof entry === "function" ? { type: entry } : entry
+    return { type, name, encode, decode }
+}
+
+// JSON Pointer (RFC 6901) escaping of one key
+function escapePointer(key) {
+    return key.replace(/~/g, "~0").replace(/\//g, "~1")
 }
 
 // === Demo: Division ===
@@ -124,6 +680,9 @@ console.log(divide(1, 3))    // 0.(3)
 console.log(divide(1, 7))    // 0.(142857)
 console.log(divide(1, 6))    // 0.1(6)
 console.log(divide(1, 4))    // 0.25
+console.log(divide(1.5, 0.7))                      // 2.(142857)
+console.log(divide(10n ** 30n, 7n))                // 142857142857142857142857142857.(142857)
+console.log(divide(1, 7919, { maxDigits: 20 }))    // ≈0.00012627857052658163…
 
 // === Demo: Computed ===
 console.log("\nComputed:")
@@ -134,6 +693,14 @@ console.log(result.value)    // 13
 x.value = 5
 console.log(result.value)    // 15
 
+const subtotalDeps = []
+const subtotal = computed(subtotalDeps, t => t - 10, "subtotal")
+const tax = computed([subtotal], s => s * 0.2, "tax")
+const total = computed([tax, subtotal], (t, s) => s + t, "total")
+subtotalDeps.push(total)     // close the loop
+try { total.value } catch (e) { console.log(e.message) }
+// Cycle detected: total → tax → subtotal → total
+
 // === Demo: MemoizedFn (Ackermann) ===
 console.log("\nAckermann:")
 const ack = memoizedFn((m, n) => {
@@ -143,3 +710,88 @@ const ack = memoizedFn((m, n) => {
 })
 console.log("ack(3,4)  =", ack(3, 4))   // 125
 console.log("ack(3,10) =", ack(3, 10))  // 8189 — fast with cache
+
+const hop = memoizedFn(n => hop((n + 1) % 3), "hop")
+try { hop(0) } catch (e) { console.log(e.message) }
+// Cycle detected: hop(0) → hop(1) → hop(2) → hop(0)
+
+// === Demo: Iterated functions ===
+console.log("\nIterated functions:")
+const rho = x => (x * x + 1) % 255          // Pollard's rho map
+for (const algorithm of ["floyd", "brent", "map"]) {
+    console.log(algorithm, findCycle(rho, 3, { algorithm }))
+}
+// { mu: 2, lambda: 6 } three times
+console.log(findCycle(r => r * 10 % 7, 1))   // { mu: 0, lambda: 6 }: 1/7 = 0.(142857)
+
+// A closure-based PRNG: the ZX81's x → (75x + 74) mod 65537
+function createLCG(seed) {
+    let state = seed
+    return { next: () => ({ value: state = (75 * state + 74) % 65537, done: false }) }
+}
+console.log("LCG period:", findCycleIn(() => createLCG(1)))   // { mu: 0, lambda: 65536 }
+console.log("one pass:", findCycleIn(createLCG(1)))          // the same, by "map"
+console.log(findCycleIn([1, 2, 3]))          // null: it ends
+
+// === Demo: Graphs ===
+console.log("\nGraphs:")
+const build = {
+    app: ["ui", "core"], ui: ["core", "theme"], theme: ["ui"],   // ui ⇄ theme
+    core: ["log"], log: [], cli: ["core", "cli"]                 // cli needs itself
+}
+console.log(stronglyConnected(build))
+// [ [ 'log' ], [ 'core' ], [ 'ui', 'theme' ], [ 'app' ], [ 'cli' ] ]
+console.log(stronglyConnected(build, { algorithm: "kosaraju" }))   // the same components
+console.log(findCycles(build))         // [ [ 'ui', 'theme', 'ui' ], [ 'cli', 'cli' ] ]
+console.log(topoSort({ app: ["ui", "core"], ui: ["core"], core: ["log"] }))
+// [ 'log', 'core', 'ui', 'app' ]
+
+// The computeds above, checked before anything is evaluated
+try {
+    topoSort([total], { edges: node => node.deps, label: node => node.label })
+} catch (e) { console.log(e.message) }
+// Cycle detected: total → subtotal → total
+
+// === Demo: Object graphs ===
+console.log("\nObject graphs:")
+const tree = { name: "root", children: [] }
+const leaf = { name: "leaf", parent: tree, tags: new Set(["a"]) }
+tree.children.push(leaf, leaf)           // shared twice: not a cycle
+const registry = new Map([["main", leaf]])
+leaf.registry = registry
+console.log(findReferenceCycles(tree))
+// [ { from: '$.children[0].parent', to: '$', loop: [ '.children', '[0]', '.parent' ] },
+//   { from: '$.children[0].registry.get("main")', to: '$.children[0]', ... } ]
+
+// === Demo: Serialization ===
+console.log("\nSerialization:")
+class Point {
+    constructor(x, y) { this.x = x; this.y = y }
+    norm() { return Math.hypot(this.x, this.y) }
+}
+const origin = new Point(0, 0)
+const doc = {
+    shapes: [origin, origin],                       // shared
+    meta: new Map([["created", new Date(0)], ["id", 2n ** 64n]]),
+    tags: new Set(["draft"]),
+    missing: undefined
+}
+doc.self = doc                                      // circular
+const text = serialize(doc, { types: [Point] })
+console.log(text)
+// {"shapes":[{"$type":"Point","value":{"x":0,"y":0}},{"$ref":"#/shapes/0"}],
+//  "meta":{"$type":"Map","value":[["created",{"$type":"Date",...}], ...]}, ...,
+//  "self":{"$ref":"#"}}
+const copy = deserialize(text, { types: [Point] })
+console.log(copy.self === copy, copy.shapes[0] === copy.shapes[1])   // true true
+console.log(copy.shapes[0].norm(), copy.meta.get("id"), "missing" in copy)   // 0 18446744073709551616n true
+
+// ...and memoizedFn keys: circular arguments no longer throw
+const describe = memoizedFn(node => {
+    console.log("  [computing]")
+    return node.name + " → " + node.next.name + " → " + node.next.next.name
+}, "describe")
+const ring = { name: "a" }
+ring.next = { name: "b", next: ring }
+console.log(describe(ring))    // [computing], a → b → a
+console.log(describe(ring))    // a → b → a (cached)
@@ -25,13 +25,15 @@ console.log(gen.next()); // { value: undefined, done: true }
 
 // Range generator using closures
 function createRangeGenerator(start, end, step = 1) {
-    let current = start;
+    let index = 0;
 
     return {
         next: function () {
-            if (current < end) {
-                const value = current;
-                current += step;
+            // start + index * step rather than a running sum, so fractional
+            // steps don't drift; a negative step counts down to end
+            const value = start + index * step;
+            if (step > 0 ? value < end : value > end) {
+                index++;
                 return { value, done: false };
             }
             return { value: undefined, done: true };
@@ -50,6 +52,883 @@ for (const num of range) {
     console.log(num); // 0, 2, 4, 6, 8
 }
 
+// Python-style range as an object rather than an iterator: it knows its
+// length and can be indexed, searched, sliced and reversed without running,
+// and every for...of gets a fresh iterator, so it can be walked any number
+// of times. Value i is computed as start + i * step, never by adding step
+// over and over, so fractional steps don't drift.
+//
+// createRange(stop) / createRange(start, stop, step = 1) - all Numbers or
+// all BigInts; with BigInts, length and every index are BigInts too.
+// stop may be ±Infinity for an endless range.
+//   length                   how many values
+//   at(i)                    value i, counting back from the end if i < 0
+//   includes(v) / indexOf(v) whether v is one of the values / its index or -1
+//   slice(begin, end)        a range over values begin..end-1 (like Array)
+//   reversed()               the same values backwards, as a range
+function createRange(start, stop, step) {
+    if (stop === undefined) {
+        stop = start;
+        start = typeof stop === 'bigint' ? 0n : 0;
+    }
+    const T = typeof start === 'bigint' ? BigInt : Number;
+    if (step === undefined) step = T(1);
+    if (typeof stop !== typeof start || typeof step !== typeof start) {
+        throw new TypeError('createRange() takes all Numbers or all BigInts');
+    }
+    if (T === Number && (!Number.isFinite(start) || !Number.isFinite(step) || Number.isNaN(stop))) {
+        throw new RangeError('createRange() needs a finite start and step');
+    }
+    if (step === T(0)) throw new RangeError('createRange() step must not be zero');
+    return rangeView(start, step, T(0), rangeLength(start, stop, step), T(1));
+}
+
+function rangeLength(start, stop, step) {
+    if (typeof start === 'bigint') {
+        const distance = step > 0n ? stop - start : start - stop;
+        const stride = step > 0n ? step : -step;
+        return distance > 0n ? (distance + stride - 1n) / stride : 0n;
+    }
+    let length = Math.max(0, Math.ceil((stop - start) / step));
+    if (length === Infinity) return length;
+    // the division can land a hair above a whole number: drop a last value
+    // that would actually be at or past stop
+    while (length > 0 && !(step > 0 ? start + (length - 1) * step < stop : start + (length - 1) * step > stop)) {
+        length--;
+    }
+    return length;
+}
+
+// Value i of the view is start + (first + i * direction) * step: slices
+// and reversals keep the original start and step, so they produce exactly
+// the same values as the range they came from
+function rangeView(start, step, first, length, direction) {
+    const T = typeof start === 'bigint' ? BigInt : Number;
+    const zero = T(0);
+    const valueAt = i => start + (first + i * direction) * step;
+    const toIndex = i => (T === Number ? Math.trunc(i) : BigInt(i));
+    const clamp = (i, fallback) => {
+        if (i === undefined) return fallback;
+        i = toIndex(i);
+        if (i < zero) return i + length > zero ? i + length : zero;
+        return i < length ? i : length;
+    };
+
+    return {
+        length,
+        at: function (i) {
+            i = toIndex(i);
+            if (i < zero) i += length;
+            return i >= zero && i < length ? valueAt(i) : undefined;
+        },
+        indexOf: function (value) {
+            if (typeof value !== typeof start) return T(-1);
+            let k;
+            if (T === BigInt) {
+                if ((value - start) % step !== 0n) return -1n;
+                k = (value - start) / step;
+            } else {
+                k = Math.round((value - start) / step);
+            }
+            const i = (k - first) * direction + zero; // + 0 turns a reversed -0 into 0
+            return i >= zero && i < length && valueAt(i) === value ? i : T(-1);
+        },
+        includes: function (value) {
+            return this.indexOf(value) >= 0;
+        },
+        slice: function (begin, end) {
+            begin = clamp(begin, zero);
+            end = clamp(end, length);
+            const count = end > begin ? end - begin : zero;
+            return rangeView(start, step, first + begin * direction, count, direction);
+        },
+        reversed: function () {
+            if (length === Infinity) throw new RangeError('an endless range has no last value');
+            return rangeView(start, step, first + (length - T(1)) * direction, length, -direction);
+        },
+        [Symbol.iterator]: function () {
+            let i = zero;
+            return {
+                next: function () {
+                    if (i < length) {
+                        return { value: valueAt(i++), done: false };
+                    }
+                    return { value: undefined, done: true };
+                },
+                [Symbol.iterator]: function () {
+                    return this;
+                }
+            };
+        },
+        toString: function () {
+            return `range(${valueAt(zero)}, ${valueAt(length)}, ${step * direction})`;
+        }
+    };
+}
+
+// linspace() - count evenly spaced Numbers from start to stop, as an array.
+// Each is interpolated from both ends, so the first is exactly start and
+// (with endpoint) the last exactly stop, whatever rounding happens between.
+//   { endpoint }   include stop itself (true)
+function linspace(start, stop, count = 50, { endpoint = true } = {}) {
+    if (!Number.isInteger(count) || count < 0) {
+        throw new RangeError('linspace() count must be a whole number >= 0');
+    }
+    const intervals = endpoint ? count - 1 : count;
+    return Array.from({ length: count }, (_, i) => {
+        if (intervals === 0) return start;
+        const t = i / intervals;
+        return (1 - t) * start + t * stop;
+    });
+}
+
+// Usage: unlike the range generator above, a range object can go backwards,
+// step by fractions without drift, and be iterated again
+console.log('\nRange objects:');
+console.log([...createRange(5)]); // [ 0, 1, 2, 3, 4 ]
+console.log([...createRange(10, 0, -3)]); // [ 10, 7, 4, 1 ]
+
+const evens = createRange(0, 10, 2);
+console.log(evens.length, evens.at(-1), `${evens}`); // 5 8 range(0, 10, 2)
+console.log(evens.includes(4), evens.indexOf(6), evens.indexOf(5)); // true 3 -1
+console.log([...evens.slice(1, -1)], [...evens.reversed()]); // [ 2, 4, 6 ] [ 8, 6, 4, 2, 0 ]
+console.log([...evens].length, [...evens].length); // 5 5
+
+let summed = 0;
+for (let i = 0; i < 9; i++) summed += 0.1;
+const tenths = createRange(0, 1, 0.1);
+console.log(tenths.length, tenths.at(9), summed); // 10 0.9 0.8999999999999999
+console.log(tenths.includes(0.9), tenths.reversed().at(0)); // true 0.9
+
+const big = createRange(0n, 10n ** 30n, 7n);
+console.log(big.length, big.at(-1n)); // 142857142857142857142857142858n 999999999999999999999999999999n
+console.log(big.indexOf(700n), big.includes(701n)); // 100n false
+
+console.log(linspace(0, 1, 5)); // [ 0, 0.25, 0.5, 0.75, 1 ]
+console.log(linspace(0.1, 0.3, 3).at(-1), linspace(0, 1, 4, { endpoint: false })); // 0.3 [ 0, 0.25, 0.5, 0.75 ]
+
+// Lazy pipelines over any iterator: each step is one more closure around
+// the previous next(), so items flow through one at a time and nothing is
+// collected in between (chunk/window keep their own small buffer)
+function done() {
+    return { value: undefined, done: true };
+}
+
+// Accepts anything with next() (the generators above) or any iterable
+function toIterator(source) {
+    if (source && typeof source.next === 'function') return source;
+    if (source && typeof source[Symbol.iterator] === 'function') return source[Symbol.iterator]();
+    throw new TypeError('lazy() needs an iterator or an iterable');
+}
+
+function lazy(source) {
+    const iterator = toIterator(source);
+    return pipeline(function () {
+        return iterator.next();
+    });
+}
+
+function pipeline(next) {
+    const stage = Object.create(stages);
+    stage.next = next;
+    return stage;
+}
+
+const stages = {
+    [Symbol.iterator]: function () {
+        return this;
+    },
+
+    // --- One item in, at most one out ---
+    map: function (fn) {
+        const next = this.next;
+        return pipeline(function () {
+            const step = next();
+            return step.done ? step : { value: fn(step.value), done: false };
+        });
+    },
+    filter: function (fn) {
+        const next = this.next;
+        return pipeline(function () {
+            for (let step = next(); ; step = next()) {
+                if (step.done || fn(step.value)) return step;
+            }
+        });
+    },
+    // scan(fn, initial) - Running totals: every intermediate accumulator
+    scan: function (fn, initial) {
+        const next = this.next;
+        let accumulator = initial;
+        return pipeline(function () {
+            const step = next();
+            if (step.done) return step;
+            accumulator = fn(accumulator, step.value);
+            return { value: accumulator, done: false };
+        });
+    },
+    // dedupe(key) - Skip items whose key was seen before (key: the item)
+    dedupe: function (key = x => x) {
+        const seen = new Set();
+        return this.filter(function (value) {
+            const k = key(value);
+            if (seen.has(k)) return false;
+            seen.add(k);
+            return true;
+        });
+    },
+
+    // --- Stopping early: never pull more than needed ---
+    take: function (count) {
+        const next = this.next;
+        let left = count;
+        return pipeline(function () {
+            if (left <= 0) return done();
+            left--;
+            return next();
+        });
+    },
+    takeWhile: function (fn) {
+        const next = this.next;
+        let finished = false;
+        return pipeline(function () {
+            if (finished) return done();
+            const step = next();
+            if (step.done || fn(step.value)) return step;
+            finished = true;
+            return done();
+        });
+    },
+    drop: function (count) {
+        const next = this.next;
+        let left = count;
+        return pipeline(function () {
+            for (; left > 0; left--) {
+                if (next().done) return done();
+            }
+            return next();
+        });
+    },
+
+    // --- Grouping ---
+    // chunk(size) - [1, 2], [3, 4], [5]
+    chunk: function (size) {
+        const next = this.next;
+        return pipeline(function () {
+            const items = [];
+            for (let step; items.length < size && !(step = next()).done;) items.push(step.value);
+            return items.length ? { value: items, done: false } : done();
+        });
+    },
+    // window(size) - Sliding: [1, 2, 3], [2, 3, 4], ...
+    window: function (size) {
+        const next = this.next;
+        const items = [];
+        return pipeline(function () {
+            if (items.length === size) items.shift();
+            while (items.length < size) {
+                const step = next();
+                if (step.done) return done();
+                items.push(step.value);
+            }
+            return { value: items.slice(), done: false };
+        });
+    },
+
+    // --- Several sources ---
+    // zip(...others) - [a, b, ...] side by side, until any one runs out
+    zip: function (...others) {
+        const nexts = [this.next, ...others.map(function (other) {
+            const iterator = toIterator(other);
+            return function () { return iterator.next(); };
+        })];
+        let finished = false;
+        return pipeline(function () {
+            if (finished) return done();
+            const values = [];
+            for (const next of nexts) {
+                const step = next();
+                if (step.done) {
+                    finished = true;
+                    return done();
+                }
+                values.push(step.value);
+            }
+            return { value: values, done: false };
+        });
+    },
+    concat: function (...others) {
+        const queue = [this, ...others];
+        let current = null;
+        return pipeline(function () {
+            while (current || queue.length) {
+                current = current || toIterator(queue.shift());
+                const step = current.next();
+                if (!step.done) return step;
+                current = null;
+            }
+            return done();
+        });
+    },
+    // flatMap(fn) - fn returns an iterator or iterable; its items are spliced in
+    flatMap: function (fn) {
+        const next = this.next;
+        let inner = null;
+        return pipeline(function () {
+            for (;;) {
+                if (inner) {
+                    const step = inner.next();
+                    if (!step.done) return step;
+                    inner = null;
+                }
+                const step = next();
+                if (step.done) return step;
+                inner = toIterator(fn(step.value));
+            }
+        });
+    },
+    // cycle() - Repeat forever; the first pass is remembered to replay it
+    cycle: function () {
+        const next = this.next;
+        const seen = [];
+        let replaying = false, index = 0;
+        return pipeline(function () {
+            if (!replaying) {
+                const step = next();
+                if (!step.done) {
+                    seen.push(step.value);
+                    return step;
+                }
+                replaying = true;
+            }
+            if (!seen.length) return done();
+            return { value: seen[index++ % seen.length], done: false };
+        });
+    },
+
+    // --- Terminal: these pull ---
+    toArray: function () {
+        const items = [];
+        for (let step = this.next(); !step.done; step = this.next()) items.push(step.value);
+        return items;
+    },
+    reduce: function (fn, initial) {
+        let accumulator = initial;
+        for (let step = this.next(); !step.done; step = this.next()) accumulator = fn(accumulator, step.value);
+        return accumulator;
+    },
+    forEach: function (fn) {
+        for (let step = this.next(); !step.done; step = this.next()) fn(step.value);
+    },
+    first: function () {
+        return this.next().value;
+    }
+};
+
+// Usage: an endless range, yet only what take() asks for is ever produced
+let produced = 0;
+const squares = lazy(createRangeGenerator(1, Infinity))
+    .map(n => { produced++; return n; })
+    .filter(n => n % 2 === 1)
+    .map(n => n * n)
+    .take(4);
+console.log('\nLazy pipeline (odd squares):');
+console.log(squares.toArray(), 'produced:', produced); // [ 1, 9, 25, 49 ] produced: 7
+
+const letters = lazy(createGenerator(['a', 'b', 'c']));
+console.log(lazy([1, 2, 3, 4, 5]).chunk(2).toArray());          // [ [ 1, 2 ], [ 3, 4 ], [ 5 ] ]
+console.log(lazy([1, 2, 3, 4]).window(3).toArray());            // [ [ 1, 2, 3 ], [ 2, 3, 4 ] ]
+console.log(lazy([1, 2, 3]).zip(letters).toArray());            // [ [ 1, 'a' ], [ 2, 'b' ], [ 3, 'c' ] ]
+console.log(lazy([1, 2, 3]).scan((sum, n) => sum + n, 0).toArray()); // [ 1, 3, 6 ]
+console.log(lazy([3, 1, 3, 2, 1]).dedupe().toArray());          // [ 3, 1, 2 ]
+console.log(lazy(['ab', 'c']).flatMap(s => s).concat(['!']).toArray()); // [ 'a', 'b', 'c', '!' ]
+console.log(lazy([0, 1]).cycle().drop(1).take(5).toArray());    // [ 1, 0, 1, 0, 1 ]
+console.log(lazy(createRangeGenerator(0, 100)).takeWhile(n => n < 3).toArray()); // [ 0, 1, 2 ]
+
+// Full generator protocol as a state machine, the way transpilers compile
+// function*: the body becomes a switch with one case per point it can
+// resume at, its locals move into the enclosing closure, and try statements
+// become a table of label ranges so throw() and return() know where to go
+//
+// createGeneratorMachine(tries, body) - body(ctx) runs the case for
+// ctx.state and returns what to do next:
+//   ctx.yield(value, resumeAt)   suspend; next(x) resumes at resumeAt with ctx.sent = x
+//   ctx.jump(label)              carry on at label
+//   ctx.return(value)            finish, running any finally blocks on the way
+//   ctx.endFinally()             the end of a finally block
+// tries lists every try statement, outermost first:
+//   { tryLoc, catchLoc?, finallyLoc?, afterLoc }   labels in that order;
+//   a catch block finds the error in ctx.caught
+function createGeneratorMachine(tries, body) {
+    let status = 'suspendedStart';
+    let yieldedAt = 0;
+    const pending = new Map(); // try entry → the throw/return waiting out its finally
+    const ctx = {
+        state: 0, sent: undefined, caught: undefined,
+        yield: function (value, resumeAt) { return { type: 'yield', value, resumeAt }; },
+        jump: function (label) { return { type: 'jump', label }; },
+        return: function (value) { return { type: 'return', value }; },
+        endFinally: function () { return { type: 'endFinally' }; }
+    };
+
+    // Send a throw or return raised at label `at` to the innermost catch or
+    // finally covering it; false if none does
+    function dispatch(completion, at) {
+        for (let i = tries.length - 1; i >= 0; i--) {
+            const entry = tries[i];
+            if (at < entry.tryLoc || at >= entry.afterLoc) continue;
+            if (at >= entry.finallyLoc) pending.delete(entry); // raised in its finally: replaces what was waiting
+            if (completion.type === 'throw' && entry.catchLoc !== undefined && at < entry.catchLoc) {
+                ctx.caught = completion.value;
+                ctx.state = entry.catchLoc;
+                return true;
+            }
+            if (entry.finallyLoc !== undefined && at < entry.finallyLoc) {
+                pending.set(entry, completion);
+                ctx.state = entry.finallyLoc;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function finish(completion) {
+        status = 'completed';
+        if (completion.type === 'throw') throw completion.value;
+        return { value: completion.value, done: true };
+    }
+
+    // Run from ctx.state until the next yield or the end
+    function run(completion, at) {
+        status = 'executing';
+        for (;;) {
+            if (completion) {
+                if (!dispatch(completion, at)) return finish(completion);
+                completion = null;
+            }
+            const label = at = ctx.state;
+            for (const entry of tries) {
+                if (entry.tryLoc === label) pending.delete(entry); // entered afresh (left its finally by a jump)
+            }
+            let instruction;
+            try {
+                instruction = body(ctx);
+            } catch (error) {
+                completion = { type: 'throw', value: error };
+                continue;
+            }
+            switch (instruction.type) {
+                case 'yield':
+                    yieldedAt = label;
+                    ctx.state = instruction.resumeAt;
+                    status = 'suspendedYield';
+                    return { value: instruction.value, done: false };
+                case 'jump':
+                    ctx.state = instruction.label;
+                    break;
+                case 'return':
+                    completion = { type: 'return', value: instruction.value };
+                    break;
+                case 'endFinally': {
+                    const entry = tries.findLast(e => e.finallyLoc <= label && label < e.afterLoc);
+                    const waiting = pending.get(entry);
+                    pending.delete(entry);
+                    if (!waiting) {
+                        ctx.state = entry.afterLoc; // the try completed normally
+                        break;
+                    }
+                    completion = waiting;
+                    at = entry.finallyLoc;          // past this try: only outer ones apply
+                    break;
+                }
+            }
+        }
+    }
+
+    function resume(type, value) {
+        if (status === 'executing') throw new TypeError('Generator is already running');
+        if (status === 'completed' || (status === 'suspendedStart' && type !== 'next')) {
+            return finish(type === 'next' ? { type: 'return', value: undefined } : { type, value });
+        }
+        if (type !== 'next') return run({ type, value }, yieldedAt);
+        ctx.sent = status === 'suspendedStart' ? undefined : value; // the first next(x) has no yield to receive x
+        return run(null);
+    }
+
+    return {
+        next: function (value) { return resume('next', value); },
+        return: function (value) { return resume('return', value); },
+        throw: function (error) { return resume('throw', error); },
+        [Symbol.iterator]: function () {
+            return this;
+        }
+    };
+}
+
+// Usage: a running total that receives its numbers through next(x)
+//
+//   function* accumulate(log) {
+//       let total = 0;
+//       try {
+//           for (;;) {
+//               const x = yield total;
+//               if (x === undefined) break;
+//               total += x;
+//           }
+//       } finally {
+//           log.push('cleanup ' + total);
+//       }
+//       return total;
+//   }
+function accumulateMachine(log) {
+    let total;
+    return createGeneratorMachine([{ tryLoc: 1, finallyLoc: 3, afterLoc: 4 }], function (ctx) {
+        switch (ctx.state) {
+            case 0: total = 0; return ctx.jump(1);
+            case 1: return ctx.yield(total, 2);
+            case 2:
+                if (ctx.sent === undefined) return ctx.jump(3);
+                total += ctx.sent;
+                return ctx.jump(1);
+            case 3: log.push('cleanup ' + total); return ctx.endFinally();
+            case 4: return ctx.return(total);
+        }
+    });
+}
+
+const cleanupLog = [];
+const totals = accumulateMachine(cleanupLog);
+console.log('\nState machine generator (running total):');
+console.log(totals.next());        // { value: 0, done: false }
+console.log(totals.next(5));       // { value: 5, done: false }
+console.log(totals.next(10));      // { value: 15, done: false }
+console.log(totals.return(-1));    // { value: -1, done: true }
+console.log(cleanupLog);           // [ 'cleanup 15' ]: finally ran on return()
+
+// Conformance: the same programs as native function* and as machines, each
+// driven through the same scripts of next/return/throw calls; every result,
+// thrown error and logged side effect must match
+const programs = {
+    accumulate: {
+        native: function* (log) {
+            let total = 0;
+            try {
+                for (;;) {
+                    const x = yield total;
+                    if (x === undefined) break;
+                    total += x;
+                }
+            } finally {
+                log.push('cleanup ' + total);
+            }
+            return total;
+        },
+        machine: accumulateMachine
+    },
+    guarded: {
+        native: function* (log) {
+            try {
+                const a = yield 'first';
+                log.push('got ' + a);
+                yield 'second';
+            } catch (e) {
+                log.push('caught ' + e.message);
+                yield 'recovered';
+            } finally {
+                yield 'finally';
+                log.push('finally done');
+            }
+            return 'end';
+        },
+        machine: function (log) {
+            return createGeneratorMachine([{ tryLoc: 1, catchLoc: 4, finallyLoc: 6, afterLoc: 8 }], function (ctx) {
+                switch (ctx.state) {
+                    case 0: return ctx.jump(1);
+                    case 1: return ctx.yield('first', 2);
+                    case 2: log.push('got ' + ctx.sent); return ctx.yield('second', 3);
+                    case 3: return ctx.jump(6);
+                    case 4: log.push('caught ' + ctx.caught.message); return ctx.yield('recovered', 5);
+                    case 5: return ctx.jump(6);
+                    case 6: return ctx.yield('finally', 7);
+                    case 7: log.push('finally done'); return ctx.endFinally();
+                    case 8: return ctx.return('end');
+                }
+            });
+        }
+    },
+    steps: {
+        native: function* (log) {
+            for (let i = 0; ; i++) {
+                try {
+                    const command = yield i;
+                    if (command === 'stop') return 'stopped at ' + i;
+                    if (command === 'fail') throw new Error('failed at ' + i);
+                } catch (e) {
+                    log.push(e.message);
+                } finally {
+                    log.push('step ' + i);
+                }
+            }
+        },
+        machine: function (log) {
+            let i;
+            return createGeneratorMachine([{ tryLoc: 1, catchLoc: 3, finallyLoc: 4, afterLoc: 5 }], function (ctx) {
+                switch (ctx.state) {
+                    case 0: i = 0; return ctx.jump(1);
+                    case 1: return ctx.yield(i, 2);
+                    case 2:
+                        if (ctx.sent === 'stop') return ctx.return('stopped at ' + i);
+                        if (ctx.sent === 'fail') throw new Error('failed at ' + i);
+                        return ctx.jump(4);
+                    case 3: log.push(ctx.caught.message); return ctx.jump(4);
+                    case 4: log.push('step ' + i); return ctx.endFinally();
+                    case 5: i++; return ctx.jump(1);
+                }
+            });
+        }
+    },
+    rethrown: {
+        native: function* (log) {
+            for (let i = 0; i < 3; i++) {
+                try {
+                    try {
+                        yield i;
+                    } finally {
+                        if (i === 0) throw new Error('finally ' + i); // drops a pending return
+                    }
+                } catch (e) {
+                    log.push('caught ' + e.message);
+                }
+            }
+            return 'end';
+        },
+        machine: function (log) {
+            let i;
+            const tries = [
+                { tryLoc: 2, catchLoc: 6, afterLoc: 7 },
+                { tryLoc: 2, finallyLoc: 4, afterLoc: 5 }
+            ];
+            return createGeneratorMachine(tries, function (ctx) {
+                switch (ctx.state) {
+                    case 0: i = 0; return ctx.jump(1);
+                    case 1: return ctx.jump(i < 3 ? 2 : 8);
+                    case 2: return ctx.yield(i, 3);
+                    case 3: return ctx.jump(4);
+                    case 4:
+                        if (i === 0) throw new Error('finally ' + i);
+                        return ctx.endFinally();
+                    case 5: return ctx.jump(7);
+                    case 6: log.push('caught ' + ctx.caught.message); return ctx.jump(7);
+                    case 7: i++; return ctx.jump(1);
+                    case 8: return ctx.return('end');
+                }
+            });
+        }
+    }
+};
+
+const scripts = [
+    [['next'], ['next'], ['next'], ['next'], ['next']],
+    [['next', 'ignored'], ['next', 1], ['next', 2], ['next'], ['next']],
+    [['return', 'early'], ['next']],
+    [['throw', 'before start'], ['next']],
+    [['next'], ['next', 3], ['return', 'r'], ['next'], ['next'], ['next']],
+    [['next'], ['throw', 'boom'], ['next'], ['next'], ['next']],
+    [['next'], ['next'], ['throw', 'late'], ['throw', 'again'], ['next'], ['next']],
+    [['next'], ['next', 'fail'], ['next', 'stop'], ['next'], ['throw', 'after end']],
+    [['next'], ['next'], ['next'], ['return', 'in finally'], ['next'], ['next']],
+    [['next'], ['return', 'r'], ['next'], ['next'], ['next']]
+];
+
+function runScript(generator, script) {
+    return script.map(function ([method, arg]) {
+        try {
+            return generator[method](method === 'throw' ? new Error(arg) : arg);
+        } catch (e) {
+            return { threw: e.message };
+        }
+    });
+}
+
+let scenarios = 0, matching = 0;
+for (const [name, { native, machine }] of Object.entries(programs)) {
+    for (const script of scripts) {
+        const nativeLog = [], machineLog = [];
+        const expected = JSON.stringify([runScript(native(nativeLog), script), nativeLog]);
+        const actual = JSON.stringify([runScript(machine(machineLog), script), machineLog]);
+        scenarios++;
+        if (expected === actual) matching++;
+        else console.log('MISMATCH', name, JSON.stringify(script), '\n  native: ', expected, '\n  machine:', actual);
+    }
+}
+console.log(`Conformance: ${matching}/${scenarios} scenarios match native generators`); // 40/40
+
+// Async generator emulation: a producer pushes values into a bounded
+// buffer, next() takes them out. When the buffer is full, push() hands the
+// producer a promise that resolves only once the consumer has caught up.
+//
+// createAsyncGenerator(producer, { highWaterMark }) - starts
+// producer({ push, signal }) on the first next(); the producer ending ends
+// the iteration, and its error is thrown from next() after the buffered
+// values. return() cancels: the buffer is dropped, signal aborts.
+//   push(value) → true      room left, carry on
+//              → Promise    buffer full: await it before pushing more
+//              → false      (or a Promise of false) the consumer is gone
+//   highWaterMark            buffer size (16); with 0 every push() waits
+//                            until its value is taken and another asked for
+function createAsyncGenerator(producer, { highWaterMark = 16 } = {}) {
+    const buffer = [];
+    const readers = [];              // next() calls waiting for a value
+    const controller = new AbortController();
+    let started = false, finished = false, failure = null;
+    let drained = null;              // { promise, resolve } while the producer waits
+
+    function settle() {
+        while (readers.length && (buffer.length || finished)) {
+            const reader = readers.shift();
+            if (buffer.length) reader.resolve({ value: buffer.shift(), done: false });
+            else if (failure) {
+                reader.reject(failure.error);
+                failure = null;              // thrown once, then just done
+            } else reader.resolve({ value: undefined, done: true });
+        }
+        if (drained && (buffer.length < highWaterMark || buffer.length === 0)) {
+            drained.resolve(true);
+            drained = null;
+        }
+    }
+
+    function push(value) {
+        if (finished) return false;
+        buffer.push(value);
+        settle();
+        if (buffer.length < highWaterMark) return true;
+        if (!drained) {
+            let resolve;
+            const promise = new Promise(function (r) { resolve = r; });
+            drained = { promise, resolve };
+        }
+        return drained.promise;
+    }
+
+    function finish(error) {
+        if (finished) return;
+        finished = true;
+        if (error !== undefined) failure = { error };
+        settle();
+    }
+
+    return {
+        next: function () {
+            if (!started) {
+                started = true;
+                Promise.resolve()
+                    .then(function () { return producer({ push, signal: controller.signal }); })
+                    .then(function () { finish(); }, function (error) { finish(error); });
+            }
+            return new Promise(function (resolve, reject) {
+                readers.push({ resolve, reject });
+                settle();
+            });
+        },
+        return: function (value) {
+            started = true;              // a later next() must not start the producer
+            drained?.resolve(false);     // before finish() could let it go on
+            drained = null;
+            buffer.length = 0;
+            finish();
+            controller.abort();
+            return Promise.resolve({ value, done: true });
+        },
+        [Symbol.asyncIterator]: function () {
+            return this;
+        }
+    };
+}
+
+// fromStream() - A Node readable stream as an async generator; the
+// stream's own pull-based iteration keeps it paused while the buffer is full
+function fromStream(stream, options) {
+    return createAsyncGenerator(async function ({ push, signal }) {
+        signal.addEventListener('abort', function () { stream.destroy(); });
+        for await (const chunk of stream) {
+            if (!(await push(chunk))) return;
+        }
+    }, options);
+}
+
+// fromEvents() - Every `event` an emitter fires, until its end event; an
+// error event is thrown from next(). Emitters that can pause (streams,
+// readline) are paused while the buffer is full; others can't be held
+// back, so their buffer keeps growing instead.
+//   { end, error }   event names ('end', 'error')
+function fromEvents(emitter, event, { end = 'end', error = 'error', ...options } = {}) {
+    return createAsyncGenerator(function ({ push, signal }) {
+        return new Promise(function (resolve, reject) {
+            function onValue(value) {
+                const room = push(value);
+                if (room === true || typeof emitter.pause !== 'function') return;
+                emitter.pause();
+                Promise.resolve(room).then(function (more) { if (more) emitter.resume(); });
+            }
+            function stop(settle) {
+                return function (value) {
+                    emitter.off(event, onValue);
+                    emitter.off(end, onEnd);
+                    emitter.off(error, onError);
+                    settle(value);
+                };
+            }
+            const onEnd = stop(function () { resolve(); });
+            const onError = stop(reject);
+            emitter.on(event, onValue);
+            emitter.once(end, onEnd);
+            emitter.once(error, onError);
+            signal.addEventListener('abort', onEnd);
+        });
+    }, options);
+}
+
+// Usage: a fast producer, a slow consumer, a buffer of 2
+(async function () {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    console.log('\nAsync generator with backpressure (buffer of 2):');
+    const pages = createAsyncGenerator(async function ({ push, signal }) {
+        try {
+            for (let page = 1; ; page++) {
+                console.log('  produced page', page);
+                if (!(await push(page))) return;
+            }
+        } finally {
+            console.log('  producer stopped, aborted:', signal.aborted);
+        }
+    }, { highWaterMark: 2 });
+    for await (const page of pages) {
+        await sleep(5);
+        console.log('  consumed page', page);
+        if (page === 3) break;   // calls return(): the producer is cancelled
+    }
+    // produced 1, 2, 3; consumed 1; produced 4; consumed 2; produced 5;
+    // consumed 3; producer stopped, aborted: true. Page 1 went straight to
+    // the waiting consumer, then never more than 2 pages sat in the buffer.
+
+    const { Readable } = require('node:stream');
+    const lines = [];
+    for await (const line of fromStream(Readable.from(['alpha', 'beta', 'gamma']))) lines.push(line);
+    console.log('fromStream:', lines);           // [ 'alpha', 'beta', 'gamma' ]
+
+    const { EventEmitter } = require('node:events');
+    const queue = new EventEmitter();
+    const messages = fromEvents(queue, 'message');
+    setTimeout(function () {
+        queue.emit('message', 'hello');
+        queue.emit('message', 'world');
+        queue.emit('end');
+    }, 1);
+    const received = [];
+    for await (const message of messages) received.push(message);
+    console.log('fromEvents:', received);        // [ 'hello', 'world' ]
+})();
+
 
 /*
  * ============================================================================
@@ -87,15 +966,72 @@ for (const num of range) {
  *    - More flexible than array-based generator
  *
  *    Implementation:
- *    - Closure captures: current, end, step
- *    - next() increments current by step until >= end
+ *    - Closure captures: index, start, end, step
+ *    - next() returns start + index * step until it reaches end (counting
+ *      down with a negative step); it is a single pass, like any iterator
+ *
+ *    Range objects (createRange) work like Python's range:
+ *    - createRange(stop) or createRange(start, stop, step), Numbers or BigInts
+ *    - length, at(i), includes(v), indexOf(v), slice(), reversed(), all
+ *      answered by arithmetic without iterating
+ *    - Each for...of gets a fresh iterator, so a range can be reused
+ *    - linspace(start, stop, count) spaces values evenly, hitting both ends
+ *      exactly
+ *
+ * 3. LAZY PIPELINES (lazy)
+ *    - lazy(source) wraps anything with next(), or any iterable, in a
+ *      chainable pipeline: map, filter, scan, dedupe, take, takeWhile, drop,
+ *      chunk, window, zip, concat, flatMap, cycle
+ *    - Each step returns a new pipeline whose next() calls the previous
+ *      one's next(): steps are fused, no intermediate arrays are built
+ *    - Nothing runs until a terminal call pulls: toArray(), reduce(),
+ *      forEach(), first(), or a for...of loop
+ *    - So take(n) on an endless range produces just what it needs
+ *
+ *    Implementation:
+ *    - Closure captures: the previous next(), plus the step's own state
+ *      (a counter for take, a buffer for window, the seen set for dedupe)
+ *    - cycle() must remember the first pass: an iterator can't rewind
+ *
+ * 4. STATE MACHINE GENERATORS (createGeneratorMachine)
+ *    - The full generator protocol: next(x) sends x in as the value of the
+ *      paused yield, return(v) finishes early, throw(err) raises err there
+ *    - Written the way transpilers compile function*: a switch over
+ *      ctx.state, one case per resumption point; locals live in a closure
+ *    - try/catch/finally become label ranges ({ tryLoc, catchLoc,
+ *      finallyLoc, afterLoc }): a throw or return is routed to the innermost
+ *      catch or finally covering the current label, and a pending return or
+ *      throw resumes once the finally block ends (a finally that throws or
+ *      jumps out instead drops it, as in native generators)
+ *    - A conformance run drives native function* generators and their
+ *      machine versions through the same next/return/throw scripts and
+ *      compares every result
+ *
+ * 5. ASYNC GENERATORS (createAsyncGenerator)
+ *    - The async iterator protocol: next() returns a promise of
+ *      { value, done }, and [Symbol.asyncIterator] makes it work in for await
+ *    - A producer pushes into a bounded buffer; once it is full, push()
+ *      returns a promise the producer awaits until the consumer catches up
+ *      (backpressure), so a fast producer never runs far ahead
+ *    - return() (called by break in for await) cancels: the buffer is
+ *      dropped, a waiting push() resolves false and the signal aborts
+ *    - fromStream() and fromEvents() adapt Node readable streams and event
+ *      emitters; an emitter that can pause() is paused while the buffer is full
  *
  * ITERATOR PROTOCOL:
- * Both generators return objects conforming to the Iterator protocol:
+ * Every generator here returns objects conforming to the Iterator protocol:
  *   { value: any, done: boolean }
  *
  * - done: false → more values available
- * - done: true  → iteration complete (value is undefined)
+ * - done: true  → iteration complete. For createGenerator,
+ *   createRangeGenerator, range iterators and lazy pipelines the value is
+ *   undefined. A state machine generator (createGeneratorMachine) ends
+ *   with its return value, or with v after return(v), like a native
+ *   generator; calls after that give { value: undefined, done: true }.
+ *   for...of and spreading ignore the value that comes with done: true.
+ * - createAsyncGenerator() follows the async iterator protocol instead:
+ *   next() returns a promise of { value, done }, return(v) one of
+ *   { value: v, done: true }, and [Symbol.asyncIterator] is for for await
  *
  * MAKING IT ITERABLE:
  * By implementing [Symbol.iterator], the generator can be used in:
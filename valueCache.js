@@ -17,151 +17,1695 @@
  * │ Invalidates     │   never   │  after TTL  │  on overflow│ on dep chg │
  * │ Memory bound    │    no     │     no      │     yes     │    no      │
  * │ Use case        │pure funcs │ external API│ limited mem │ reactive   │
+ * ├─────────────────┼───────────┼─────────────┼─────────────┼────────────┤
+ * │ memoize options │    {}     │  { ttl }    │ { maxSize } │     —      │
  * └─────────────────┴───────────┴─────────────┴─────────────┴────────────┘
  * 
  * Common: all cache results, all detect cycles
  * Different: when/how cache invalidates
+ *
+ * The memoized* functions are presets of one memoize(fn, options); the options
+ * combine freely, e.g. memoize(fn, { ttl: 5000, maxSize: 100 }) is an LRU
+ * whose entries also expire, and every memoized function has .invalidate().
+ * Nor do the two ends exclude each other: a memoized function that reads
+ * vals has each entry dropped when a val it read changes, and no other.
+ *
+ * memoizedAsync: memoize() for promise-returning functions
+ * createHistory(): undo/redo and checkpoints for a set of vals
+ * reactiveArray/reactiveMap/reactiveObject: collections tracked per slot
+ * graphOf(): the val/computed/memo graph, for toDot()/toMermaid()/JSON
  */
 
+// ============================================================================
+// CYCLE DETECTION (SHARED)
+// ============================================================================
+
+// computeStack - Everything currently being computed, innermost last:
+// computed/effect nodes and in-flight memoized calls alike, so a cycle that
+// crosses both kinds is still reported end to end.
+const computeStack = []
+
+// CycleError - Thrown on re-entry; path is the full chain, e.g.
+// ["total", "tax", "subtotal", "total"]
+class CycleError extends Error {
+	constructor(path) {
+		super("Cycle detected: " + path.join(" → "))
+		this.name = 'CycleError'
+		this.path = path
+	}
+}
+
+// The chain from the frame that is being re-entered up to the re-entry.
+// Graph nodes on it keep the chain as _cycle until they next compute
+// cleanly, so graphOf() can still show where the cycle was.
+function cycleError(frameIndex, ...rest) {
+	const frames = (frameIndex < 0 ? [] : computeStack.slice(frameIndex)).concat(rest)
+	for (const frame of frames) if (frame._state !== undefined) frame._cycle = frames
+	return new CycleError(frames.map(frame => frame._label))
+}
+
+let nodeId = 0
+
+// ============================================================================
+// INSTRUMENTATION (SHARED)
+// ============================================================================
+
+// createEmitter() - Per-cache/per-node event hook
+//   on(type, listener) → off()     type '*' receives every event
+function createEmitter() {
+	const listeners = new Map()   // type → Set of listeners
+	return {
+		on(type, listener) {
+			if (!listeners.has(type)) listeners.set(type, new Set())
+			listeners.get(type).add(listener)
+			return () => listeners.get(type).delete(listener)
+		},
+		emit(type, event) {
+			for (const listener of listeners.get(type) ?? []) listener(event)
+			for (const listener of listeners.get('*') ?? []) listener(event)
+		}
+	}
+}
+
+// Logging is off by default. setLogger(console.log) prints the
+// "[recomputing]" trace, any message => {} routes it elsewhere, and
+// setLogger(null) turns it off again. Details are in the .on() events.
+let logger = null
+
+function setLogger(fn) {
+	logger = fn
+}
+
+// graphRoots - Handle → () => the graph nodes behind it, for graphOf();
+// a val is its own node and needs no entry
+const graphRoots = new WeakMap()
+
 // ============================================================================
 // REACTIVE PRIMITIVES (DYNAMIC)
 // ============================================================================
 
-// val() - Mutable value wrapper
-function val(v) {
+// Dependency tracking: the computed/effect currently running is the
+// "observer". Every val/computed read while it runs registers itself as a
+// source, and remembers the observer so a later write can mark it stale.
+let currentObserver = null
+
+function track(source) {
+	if (!currentObserver) return
+	currentObserver._sources.add(source)
+	source._observers.add(currentObserver)
+}
+
+// untracked() - Run fn without registering the reads as dependencies
+function untracked(fn) {
+	const prevObserver = currentObserver
+	currentObserver = null
+	try { return fn() } finally { currentObserver = prevObserver }
+}
+
+// Glitch-free propagation: a write marks direct observers DIRTY and everything
+// further down CHECK ("a source might have changed"). A CHECK node brings its
+// sources up to date first and only recomputes if one of them really changed,
+// so every node runs once, after all of its inputs, in topological order.
+const CLEAN = 0, CHECK = 1, DIRTY = 2
+
+const pendingEffects = new Set()
+
+function markObservers(source, state, via = [source]) {
+	for (const observer of source._observers) {
+		// an effect (or computed) writing to something it depends on
+		const onStack = computeStack.indexOf(observer)
+		if (onStack >= 0) throw nodeCycle(observer, cycleError(onStack, ...via, observer))
+		if (observer._state >= state) continue
+		const wasClean = observer._state === CLEAN
+		observer._state = state
+		if (state === DIRTY && observer._invalidate) observer._invalidate(via)
+		else if (wasClean) {
+			if (observer._effect) pendingEffects.add(observer)
+			markObservers(observer, CHECK, [...via, observer])
+		}
+	}
+}
+
+// The CycleError a write to source would run into: something downstream of
+// it is still running. Checked before a val is written, so a rejected write
+// changes nothing (no value, no marks, no effects left queued).
+function writeCycle(source, via = [source], seen = new Set()) {
+	for (const observer of source._observers) {
+		const onStack = computeStack.indexOf(observer)
+		if (onStack >= 0) return nodeCycle(observer, cycleError(onStack, ...via, observer))
+		if (seen.has(observer)) continue
+		seen.add(observer)
+		const error = writeCycle(observer, [...via, observer], seen)
+		if (error) return error
+	}
+}
+
+function update(node) {
+	if (node._state === CHECK) {
+		for (const source of node._sources) {
+			if (source._state !== undefined) update(source)  // vals are always clean
+			if (node._state === DIRTY) break
+		}
+	}
+	if (node._state !== DIRTY) node._state = CLEAN
+	else if (node._fn) recompute(node)   // a dirty memo entry is already gone
+}
+
+// Effects queued by writes run once propagation (or the batch) has finished.
+// One effect throwing doesn't stop the others: the first error is rethrown
+// after all of them have run.
+let flushing = false
+let batchDepth = 0
+let batchSerial = 0              // which outermost batch is running
+
+function flushEffects() {
+	if (flushing || batchDepth > 0) return
+	flushing = true
+	let failed = false, error
+	try {
+		for (const effect of pendingEffects) {   // Set iteration sees additions
+			pendingEffects.delete(effect)
+			try {
+				if (effect._state !== CLEAN) update(effect)
+			} catch (e) {
+				if (!failed) [failed, error] = [true, e]
+			}
+		}
+	} finally {
+		flushing = false
+	}
+	if (failed) throw error
+}
+
+// batch() - Apply several writes atomically: effects run once, afterwards,
+// and never see a half-updated state
+function batch(fn) {
+	if (batchDepth++ === 0) batchSerial++
+	try {
+		return fn()
+	} finally {
+		batchDepth--
+		flushEffects()
+	}
+}
+
+// deepEqual() - Structural equality for arrays, plain objects, Dates, Maps
+// (values compared deeply, keys by identity) and Sets (by identity), usable
+// as the `equals` option of val/computed. Any other object only equals itself.
+function deepEqual(a, b) {
+	if (Object.is(a, b)) return true
+	if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false
+	const proto = Object.getPrototypeOf(a)
+	if (proto !== Object.getPrototypeOf(b)) return false
+	if (a instanceof Date) return Object.is(a.getTime(), b.getTime())
+	if (a instanceof Map) {
+		return a.size === b.size && [...a].every(([k, v]) => b.has(k) && deepEqual(v, b.get(k)))
+	}
+	if (a instanceof Set) return a.size === b.size && [...a].every(v => b.has(v))
+	if (proto !== Object.prototype && proto !== null && !Array.isArray(a)) return false
+	const keys = Object.keys(a)
+	if (keys.length !== Object.keys(b).length) return false
+	return keys.every(k => Object.hasOwn(b, k) && deepEqual(a[k], b[k]))
+}
+
+// val() - Mutable value wrapper, notifies dependents on write
+//   val(v, { equals })    writes equal to the current value are ignored
+//   val(v, { label })     name used in cycle errors
+function val(v, { equals = Object.is, label = `val#${++nodeId}` } = {}) {
 	return {
 		_v: v,
-		get value() { return this._v },
-		set value(v) { this._v = v }
+		_label: label,
+		_observers: new Set(),
+		get value() { track(this); return this._v },
+		set value(v) {
+			if (equals(this._v, v)) return
+			const cycle = computeStack.length > 0 && writeCycle(this)
+			if (cycle) throw cycle
+			const previous = this._v
+			this._v = v
+			this._recorders?.forEach(record => record(this, previous))
+			markObservers(this, DIRTY)
+			flushEffects()
+		}
 	}
 }
 
 // computed() - Cached computation, recalculates when deps change
-const computeStack = new Set()
-
-function computed(deps, fn) {
-	const node = {}
-	let lastInputs = [], cached
+//   computed(() => x.value + y.value)    deps collected on every run
+//   computed([x, y], (a, b) => a + b)    explicit deps
+//   computed(fn, { equals })             equal results don't dirty dependents
+//   computed(fn, { label })              name used in cycle errors
+// The handle also has .on('recompute' | 'hit' | 'cycle', listener) and
+// .stats() → { recomputes, hits, cycles, computeTime }
+function computed(deps, fn, options) {
+	if (typeof deps === 'function') {
+		options = fn
+		fn = deps
+	} else {
+		const explicit = fn
+		fn = () => explicit(...deps.map(d => d.value))
+	}
+	const node = {
+		_state: DIRTY, _sources: new Set(), _observers: new Set(),
+		_equals: options?.equals ?? Object.is,
+		_label: options?.label ?? `computed#${++nodeId}`,
+		_fn: fn,
+		_stats: { recomputes: 0, hits: 0, cycles: 0, computeTime: 0 },
+		_events: createEmitter()
+	}
 	node.getValue = () => {
-		if (computeStack.has(node)) throw new Error("Circular dependency")
-		computeStack.add(node)
+		const onStack = computeStack.indexOf(node)
+		if (onStack >= 0) throw nodeCycle(node, cycleError(onStack, node))
+		const recomputes = node._stats.recomputes
+		if (node._state !== CLEAN) update(node)
+		if (node._stats.recomputes === recomputes) {
+			node._stats.hits++
+			node._events.emit('hit', { type: 'hit', label: node._label, value: node._value })
+		}
+		track(node)              // after update: node is not yet its own observer
+		return node._value
+	}
+	const handle = {
+		get value() { return node.getValue() },
+		on: node._events.on,
+		stats: () => ({ ...node._stats })
+	}
+	graphRoots.set(handle, () => [node])
+	return handle
+}
+
+// Count and announce a cycle error on the node that detected it
+function nodeCycle(node, error) {
+	if (node._stats) {
+		node._stats.cycles++
+		node._events.emit('cycle', { type: 'cycle', label: node._label, error })
+	}
+	return error
+}
+
+// Re-run fn with fresh dependencies: drop the old sources first so a branch
+// not taken this time no longer triggers recomputation
+function recompute(node) {
+	unlink(node)
+
+	const prevObserver = currentObserver
+	currentObserver = node
+	computeStack.push(node)
+	node._state = CLEAN          // a write during fn marks it stale again
+	try {
+		const started = performance.now()
+		const value = node._fn()
+		node._cycle = undefined
+		if (node._stats) {
+			const event = { type: 'recompute', label: node._label, value, duration: performance.now() - started }
+			node._stats.recomputes++
+			node._stats.computeTime += event.duration
+			node._events.emit('recompute', event)
+			logger?.("  [recomputing]")
+		}
+		if (node._effect) return
+		if (node._hasValue && node._equals(node._value, value)) return
+		node._value = value
+		node._hasValue = true
+		markObservers(node, DIRTY)   // they were CHECK: now they must rerun
+	} catch (e) {
+		node._state = DIRTY
+		throw e
+	} finally {
+		computeStack.pop()
+		currentObserver = prevObserver
+	}
+}
+
+function unlink(node) {
+	for (const source of node._sources) {
+		source._observers.delete(node)
+		if (source._retired && source._observers.size === 0) unlink(source)
+	}
+	node._sources.clear()
+}
+
+// retire() - A memo entry that left its cache still relays changes to
+// whoever read it; once nobody does, it lets go of its own sources
+function retire(node) {
+	node._retired = true
+	if (node._observers.size === 0) unlink(node)
+}
+
+// effect() - Runs fn now and again whenever anything it read changes.
+// fn may return a cleanup, called before each re-run and on dispose.
+// Returns dispose().
+//   effect(fn, { label })    name used in cycle errors
+function effect(fn, { label = `effect#${++nodeId}` } = {}) {
+	let cleanup
+	const node = {
+		_effect: true, _state: DIRTY, _sources: new Set(), _observers: new Set(),
+		_label: label,
+		_fn() {
+			if (typeof cleanup === 'function') untracked(cleanup)
+			cleanup = fn()
+		}
+	}
+	const dispose = () => {
+		unlink(node)
+		pendingEffects.delete(node)
+		node._state = DIRTY      // never scheduled again
+		if (typeof cleanup === 'function') untracked(cleanup)
+		cleanup = undefined
+	}
+	try {
+		recompute(node)
+	} catch (e) {
+		dispose()
+		throw e
+	}
+	graphRoots.set(dispose, () => [node])
+	return dispose
+}
+
+// subscribe() - callback(value, previous) whenever a val/computed changes.
+// Returns dispose().
+function subscribe(source, callback) {
+	let first = true, last
+	return effect(() => {
+		const value = source.value
+		if (first) { first = false; last = value; return }
+		const previous = last
+		last = value
+		untracked(() => callback(value, previous))
+	})
+}
+
+// ============================================================================
+// HISTORY (UNDO/REDO)
+// ============================================================================
+
+// createHistory() - Opt-in undo/redo over a set of vals. Every write is a
+// step, except that the writes of one batch() make a single step. Undo and
+// redo write the vals back, so computeds and effects follow as usual.
+//   createHistory([a, b], { limit })   keep the last `limit` steps (100)
+//   .undo()  .redo()          false when there is nothing to undo/redo
+//   .checkpoint(name)         remember the current value of every val
+//   .restore(name)            go back to a checkpoint, as one undoable step
+//   .canUndo  .canRedo  .dispose()
+function createHistory(vals, { limit = 100 } = {}) {
+	vals = [...vals]
+	const done = [], undone = []       // steps: Map val → { before, after }
+	const checkpoints = new Map()      // name → Map val → value
+	let applying = false
+	let lastSerial = null              // batch the newest step belongs to
+
+	function record(source, before) {
+		if (applying) return
+		const serial = batchDepth > 0 ? batchSerial : null
+		let step = done.at(-1)
+		if (serial === null || serial !== lastSerial || !step) {
+			step = new Map()
+			done.push(step)
+			if (done.length > limit) done.shift()
+		}
+		lastSerial = serial
+		if (step.has(source)) step.get(source).after = source._v
+		else step.set(source, { before, after: source._v })
+		undone.length = 0
+	}
+
+	// Writes made while undoing are not steps of their own
+	function apply(step, side) {
+		applying = true
 		try {
-			const inputs = deps.map(d => d.value)
-			const changed = inputs.some((v, i) => v !== lastInputs[i])
-			if (changed) {
-				cached = fn(...inputs)
-				lastInputs = inputs
-				console.log("  [recomputing]")
-			}
-			return cached
+			batch(() => { for (const [source, change] of step) source.value = change[side] })
 		} finally {
-			computeStack.delete(node)
+			applying = false
+			lastSerial = null
+		}
+	}
+
+	for (const v of vals) (v._recorders ??= new Set()).add(record)
+	return {
+		undo() {
+			const step = done.pop()
+			if (!step) return false
+			undone.push(step)
+			apply(step, 'before')
+			return true
+		},
+		redo() {
+			const step = undone.pop()
+			if (!step) return false
+			done.push(step)
+			apply(step, 'after')
+			return true
+		},
+		checkpoint(name) {
+			checkpoints.set(name, new Map(vals.map(v => [v, v._v])))
+		},
+		restore(name) {
+			const values = checkpoints.get(name)
+			if (!values) throw new Error(`No checkpoint named "${name}"`)
+			batch(() => { for (const [v, value] of values) v.value = value })
+		},
+		get canUndo() { return done.length > 0 },
+		get canRedo() { return undone.length > 0 },
+		dispose() {
+			for (const v of vals) v._recorders.delete(record)
 		}
 	}
-	return { get value() { return node.getValue() } }
 }
 
 // ============================================================================
-// MEMOIZATION PRIMITIVES (STATIC → DYNAMIC)
+// REACTIVE COLLECTIONS
 // ============================================================================
 
-const COMPUTING = Symbol('computing')
+// A val holding an array only sees the array being replaced. These copy an
+// array, Map or plain object into a Proxy with a signal per index/key (and
+// one for the set of keys), so a computed reading todos.length or
+// prices.get("apple") reruns only when that slot changes. They are shallow:
+// wrap nested objects too if those change in place.
+//   observeChanges(collection, record => ...) → off()
+//     { type: 'splice', index, removed, addedCount }   array length changes
+//     { type: 'set', key, value, oldValue }            no oldValue if added
+//     { type: 'delete', key, oldValue }
 
-// memoizedFn() - Caches forever, detects same-args-in-flight cycles
-function memoizedFn(fn) {
-	const cache = new Map()
+const KEYS = Symbol('keys')            // slot for which keys there are
+const changeEmitters = new WeakMap()   // collection → emitter
 
-	return function memoized(...args) {
-		const key = JSON.stringify(args)
+function observeChanges(collection, listener) {
+	const events = changeEmitters.get(collection)
+	if (!events) throw new TypeError("observeChanges() needs a reactive collection")
+	return events.on('change', listener)
+}
 
-		if (cache.has(key)) {
-			const val = cache.get(key)
-			if (val === COMPUTING) throw new Error(`Cycle at args: ${key}`)
-			return val
+// The signals of one collection: a slot per key, made on the first tracked
+// read and dropped by the first write that finds nobody observing it
+function collectionSlots(label, peek) {
+	const slots = new Map()      // key → node
+	const events = createEmitter()
+	const mark = (key, node) => {
+		if (node._observers.size === 0) slots.delete(key)
+		else markObservers(node, DIRTY)
+	}
+	return {
+		read(key) {
+			if (!currentObserver) return
+			let node = slots.get(key)
+			if (!node) {
+				const name = key === KEYS ? "keys" : typeof key === 'string' ? key : formatArg(key)
+				node = { _label: `${label}[${name}]`, _observers: new Set(), get _v() { return peek(key) } }
+				slots.set(key, node)
+			}
+			track(node)
+		},
+		changed(...keys) {
+			for (const key of keys) if (slots.has(key)) mark(key, slots.get(key))
+		},
+		changedWhere(test) {
+			for (const [key, node] of slots) if (test(key)) mark(key, node)
+		},
+		// after the slots are marked: tell observeChanges(), then run effects
+		done(record) {
+			events.emit('change', record)
+			flushEffects()
+		},
+		register(proxy) {
+			changeEmitters.set(proxy, events)
+			graphRoots.set(proxy, () => [...slots.values()])
+			return proxy
 		}
+	}
+}
 
-		cache.set(key, COMPUTING)
-		const result = fn(...args)
-		cache.set(key, result)
-		return result
+const isIndex = key => typeof key === 'string' && /^(0|[1-9]\d*)$/.test(key) && +key < 2 ** 32 - 1
+
+// reactiveArray() - Tracks each index and length. Mutating methods report
+// one splice; sort/reverse/fill/copyWithin report the range they changed.
+function reactiveArray(items = [], { label = `array#${++nodeId}` } = {}) {
+	const target = [...items]
+	const { read, changed, changedWhere, done, register } =
+		collectionSlots(label, key => key === 'length' ? target.length : target[key])
+	const inRange = (from, to) => key => isIndex(key) && +key >= from && +key < to
+
+	// Every length change goes through here: the indices from `index` on move
+	function splice(index, deleteCount, added = []) {
+		const oldLength = target.length
+		const removed = target.splice(index, deleteCount, ...added)
+		if (!removed.length && !added.length) return removed
+		const to = removed.length === added.length ? index + added.length : Math.max(oldLength, target.length)
+		changedWhere(inRange(index, to))
+		if (target.length !== oldLength) changed('length')
+		done({ type: 'splice', index, removed, addedCount: added.length })
+		return removed
+	}
+
+	function reorder(method, args) {
+		const before = [...target]
+		Array.prototype[method].apply(target, args)
+		let first = -1, last = -1
+		for (let i = 0; i < target.length; i++) {
+			if (Object.is(before[i], target[i])) continue
+			if (first < 0) first = i
+			last = i
+		}
+		if (first >= 0) {
+			changedWhere(inRange(first, last + 1))
+			done({ type: 'splice', index: first, removed: before.slice(first, last + 1), addedCount: last + 1 - first })
+		}
+		return proxy
 	}
+
+	function setLength(length) {
+		const oldLength = target.length
+		if (length < oldLength) return splice(length, oldLength - length)
+		target.length = length
+		if (length === oldLength) return
+		changed('length')
+		done({ type: 'splice', index: oldLength, removed: [], addedCount: length - oldLength })
+	}
+
+	const methods = {
+		push: (...added) => (splice(target.length, 0, added), target.length),
+		pop: () => target.length ? splice(target.length - 1, 1)[0] : undefined,
+		shift: () => target.length ? splice(0, 1)[0] : undefined,
+		unshift: (...added) => (splice(0, 0, added), target.length),
+		splice(start, deleteCount, ...added) {
+			const relative = Math.trunc(start) || 0
+			const index = relative < 0 ? Math.max(target.length + relative, 0) : Math.min(relative, target.length)
+			const count = arguments.length < 2 ? target.length - index
+				: Math.min(Math.max(Math.trunc(deleteCount) || 0, 0), target.length - index)
+			return splice(index, count, added)
+		},
+		sort: (...args) => reorder('sort', args),
+		reverse: () => reorder('reverse', []),
+		fill: (...args) => reorder('fill', args),
+		copyWithin: (...args) => reorder('copyWithin', args)
+	}
+
+	const proxy = new Proxy(target, {
+		get(target, key, receiver) {
+			if (Object.hasOwn(methods, key)) return methods[key]
+			if (key === 'length' || isIndex(key)) read(key)
+			return Reflect.get(target, key, receiver)
+		},
+		has(target, key) {
+			if (isIndex(key)) read(key)
+			return Reflect.has(target, key)
+		},
+		ownKeys(target) {
+			read('length')
+			return Reflect.ownKeys(target)
+		},
+		set(target, key, value) {
+			if (key === 'length') {
+				setLength(value)
+				return true
+			}
+			if (!isIndex(key)) return Reflect.set(target, key, value)
+			const index = +key, oldLength = target.length
+			if (index >= oldLength) {
+				target[index] = value
+				changedWhere(inRange(oldLength, index + 1))
+				changed('length')
+				done({ type: 'splice', index: oldLength, removed: [], addedCount: index + 1 - oldLength })
+				return true
+			}
+			const oldValue = target[index]
+			if (Object.is(oldValue, value) && index in target) return true
+			target[index] = value
+			changed(key)
+			done({ type: 'set', key: index, value, oldValue })
+			return true
+		},
+		deleteProperty(target, key) {
+			if (!isIndex(key) || !(key in target)) return Reflect.deleteProperty(target, key)
+			const oldValue = target[key]
+			delete target[key]
+			changed(key)
+			done({ type: 'delete', key: +key, oldValue })
+			return true
+		}
+	})
+	return register(proxy)
 }
 
-// memoizedTTL() - Caches with expiration time
-function memoizedTTL(fn, ttlMs = 5000) {
-	const cache = new Map()
+// reactiveMap() - Tracks each key's entry and, for size and iteration, the
+// key set; values()/entries()/forEach() depend on every value too
+function reactiveMap(entries = [], { label = `map#${++nodeId}` } = {}) {
+	const target = new Map(entries)
+	const { read, changed, done, register } =
+		collectionSlots(label, key => key === KEYS ? [...target.keys()] : target.get(key))
+	const readAll = () => {
+		read(KEYS)
+		for (const key of target.keys()) read(key)
+	}
 
-	return function (...args) {
-		const key = JSON.stringify(args)
-		const entry = cache.get(key)
+	const methods = {
+		get: key => (read(key), target.get(key)),
+		has: key => (read(key), target.has(key)),
+		set(key, value) {
+			const had = target.has(key), oldValue = target.get(key)
+			if (had && Object.is(oldValue, value)) return proxy
+			target.set(key, value)
+			if (had) changed(key)
+			else changed(key, KEYS)
+			done({ type: 'set', key, value, ...(had && { oldValue }) })
+			return proxy
+		},
+		delete(key) {
+			if (!target.has(key)) return false
+			const oldValue = target.get(key)
+			target.delete(key)
+			changed(key, KEYS)
+			done({ type: 'delete', key, oldValue })
+			return true
+		},
+		clear: () => batch(() => { for (const key of [...target.keys()]) methods.delete(key) }),
+		keys: () => (read(KEYS), target.keys()),
+		values: () => (readAll(), target.values()),
+		entries: () => (readAll(), target.entries()),
+		forEach(callback, thisArg) {
+			readAll()
+			target.forEach((value, key) => callback.call(thisArg, value, key, proxy))
+		},
+		[Symbol.iterator]: () => methods.entries()
+	}
 
-		if (entry) {
-			if (entry.value === COMPUTING) throw new Error(`Cycle at args: ${key}`)
-			if (Date.now() < entry.expires) return entry.value
+	const proxy = new Proxy(target, {
+		get(target, key) {
+			if (key === 'size') {
+				read(KEYS)
+				return target.size
+			}
+			if (Object.hasOwn(methods, key)) return methods[key]
+			const value = Reflect.get(target, key, target)
+			return typeof value === 'function' ? value.bind(target) : value
+		}
+	})
+	return register(proxy)
+}
+
+// reactiveObject() - Tracks each property, and the key set for
+// Object.keys(), for...in and spreading
+function reactiveObject(object = {}, { label = `object#${++nodeId}` } = {}) {
+	const target = { ...object }
+	const { read, changed, done, register } =
+		collectionSlots(label, key => key === KEYS ? Object.keys(target) : target[key])
+
+	return register(new Proxy(target, {
+		get(target, key, receiver) {
+			read(key)
+			return Reflect.get(target, key, receiver)
+		},
+		has(target, key) {
+			read(key)
+			return Reflect.has(target, key)
+		},
+		ownKeys(target) {
+			read(KEYS)
+			return Reflect.ownKeys(target)
+		},
+		set(target, key, value) {
+			const had = Object.hasOwn(target, key), oldValue = target[key]
+			if (had && Object.is(oldValue, value)) return true
+			target[key] = value
+			if (had) changed(key)
+			else changed(key, KEYS)
+			done({ type: 'set', key, value, ...(had && { oldValue }) })
+			return true
+		},
+		deleteProperty(target, key) {
+			if (!Object.hasOwn(target, key)) return true
+			const oldValue = target[key]
+			delete target[key]
+			changed(key, KEYS)
+			done({ type: 'delete', key, oldValue })
+			return true
 		}
+	}))
+}
+
+// ============================================================================
+// MEMOIZATION PRIMITIVES (STATIC → DYNAMIC)
+// ============================================================================
+
+// ----------------------------------------------------------------------------
+// Cache keys: keyFn(...args) → Map key. JSON.stringify(args) is not one:
+// undefined/NaN → null, -0 → 0, functions/Symbols/Maps/Sets vanish or turn
+// into {}, circular args throw, and equal-looking objects share an entry.
+// ----------------------------------------------------------------------------
 
-		cache.set(key, { value: COMPUTING, expires: 0 })
-		const result = fn(...args)
-		cache.set(key, { value: result, expires: Date.now() + ttlMs })
-		return result
+// Objects, functions and unregistered symbols get an id on first sight. The
+// WeakMap does not keep them alive, so an id is only as long-lived as its object.
+const identities = new WeakMap()
+let nextIdentity = 0
+let identityLookups = 0   // a key that needed one means nothing to another process
+
+function identityToken(value) {
+	identityLookups++
+	let id = identities.get(value)
+	if (id === undefined) identities.set(value, id = ++nextIdentity)
+	return "#" + id
+}
+
+function isObject(value) {
+	return (typeof value === 'object' && value !== null) || typeof value === 'function'
+}
+
+// Every primitive gets its own spelling: "undefined", "NaN", "-0", "1n", '"1"'
+function primitiveKey(value) {
+	switch (typeof value) {
+		case 'string': return JSON.stringify(value)
+		case 'number': return Object.is(value, -0) ? "-0" : String(value)
+		case 'bigint': return value + "n"
+		case 'symbol': {
+			const name = Symbol.keyFor(value)
+			return name === undefined ? identityToken(value) : `Symbol.for(${JSON.stringify(name)})`
+		}
+		default: return String(value)     // undefined, null, booleans
 	}
 }
 
-// memoizedLRU() - Caches with size limit, evicts oldest
-function memoizedLRU(fn, maxSize = 100) {
-	const cache = new Map()  // Map preserves insertion order
+// identityKey() - Default: primitives by value, objects by identity
+function identityKey(...args) {
+	return args.map(a => isObject(a) ? identityToken(a) : primitiveKey(a)).join(",")
+}
+
+// structuralKey() - Objects by content: arrays, plain objects (any key
+// order), Maps, Sets, Dates, RegExps, typed arrays and class instances (by
+// class + own fields). Circular references become back-references (^1 = parent).
+// Functions stay by identity: there is no content to compare.
+function structuralKey(...args) {
+	return encodeStructure(args, [])
+}
 
-	return function (...args) {
-		const key = JSON.stringify(args)
+function encodeStructure(value, ancestors) {
+	if (typeof value === 'function') return identityToken(value)
+	if (!isObject(value)) return primitiveKey(value)
 
-		if (cache.has(key)) {
-			const val = cache.get(key)
-			if (val === COMPUTING) throw new Error(`Cycle at args: ${key}`)
-			cache.delete(key)      // remove
-			cache.set(key, val)    // re-add as newest
-			return val
+	const depth = ancestors.indexOf(value)
+	if (depth >= 0) return "^" + (ancestors.length - depth)
+	ancestors.push(value)
+	try {
+		const encode = v => encodeStructure(v, ancestors)
+		const unordered = parts => parts.sort().join(",")
+		if (Array.isArray(value)) return `[${value.map(encode).join(",")}]`
+		if (value instanceof Date) return `Date(${value.getTime()})`
+		if (value instanceof RegExp) return `RegExp(${value})`
+		if (value instanceof Map) return `Map{${unordered([...value].map(([k, v]) => encode(k) + "=>" + encode(v)))}}`
+		if (value instanceof Set) return `Set{${unordered([...value].map(encode))}}`
+		if (ArrayBuffer.isView(value)) {
+			const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+			return `${value.constructor.name}[${bytes}]`
 		}
+		const proto = Object.getPrototypeOf(value)
+		const kind = proto === Object.prototype || proto === null ? "" : identityToken(proto)
+		const fields = Object.keys(value).map(k => JSON.stringify(k) + ":" + encode(value[k]))
+		return `${kind}{${unordered(fields)}}`
+	} finally {
+		ancestors.pop()
+	}
+}
+
+// An identity-keyed entry can never be hit again once one of its object args
+// is collected: drop it then, so forever-caches don't leak. (A result that
+// references its own args keeps them alive, as with any cache.) The entry is
+// the unregister token: an entry that leaves the cache first takes its
+// registrations along, or a long-lived arg would pile them up.
+const collected = new FinalizationRegistry(forget => forget())
+
+function releaseWithArgs(args, forget, entry) {
+	for (const arg of args) if (isObject(arg)) collected.register(arg, forget, entry)
+}
+
+// The held value must not reach the args it waits for, or they are never
+// collected: built out here, it closes over nothing but remove and key
+// (a closure made inside store() would share a context holding args)
+function forgetter(remove, key) {
+	return () => remove(key, 'collect')
+}
+
+// ----------------------------------------------------------------------------
+// Eviction policies: each tracks the keys it cares about and answers one
+// question. memoize() runs every configured policy on every cache event:
+//   added(key, entry, { args, result, expiresAt })
+//                                           a result was stored (expiresAt:
+//                                           restored from a snapshot)
+//   resolved(key, entry, { args, result })  a stored promise fulfilled
+//   touched(key, entry)                     a result was served from cache
+//   removed(key)                            an entry left the cache
+//   expired(entry)    → true if entry must not be served as fresh anymore
+//   staleFor(entry)   → ms since it expired (how stale a stale value would be)
+//   expiresAt(entry)  → timestamp, kept in snapshots
+//   evict()           → a key to drop while over capacity, else undefined
+// ----------------------------------------------------------------------------
+
+// ttlPolicy() - Entries expire ttl ms after being stored (promises: after
+// they fulfill). ttl may be a function (result, args) => ms, e.g. to honour
+// an expiry that comes with the result. clock() is the time source in ms.
+function ttlPolicy(ttl, clock = Date.now) {
+	const expires = new WeakMap()   // entry → timestamp
+	const ttlOf = (result, args) => typeof ttl === 'function' ? ttl(result, args) : ttl
+	return {
+		added(key, entry, { args, result, expiresAt }) {
+			if (!entry.pending) expires.set(entry, expiresAt ?? clock() + ttlOf(result, args))
+		},
+		resolved(key, entry, { args, result }) {
+			expires.set(entry, clock() + ttlOf(result, args))
+		},
+		expired(entry) { return clock() >= (expires.get(entry) ?? Infinity) },
+		staleFor(entry) { return clock() - (expires.get(entry) ?? Infinity) },
+		expiresAt(entry) { return expires.get(entry) ?? Infinity }
+	}
+}
+
+// Capacity policies share one shell: it weighs each entry (weigh(result),
+// 1 by default, so maxSize is an entry count unless weigh is given) and,
+// while the total is over maxSize, asks its strategy which key goes next.
+// A strategy is { add(key), touch(key), remove(key), victim() → key }.
+function capacityPolicy(maxSize, weigh = () => 1, strategy) {
+	const weights = new Map()   // key → weight (0 while a promise is pending)
+	let total = 0
+	const setWeight = (key, weight) => {
+		total += weight - (weights.get(key) ?? 0)
+		weights.set(key, weight)
+	}
+	return {
+		added(key, entry, { result }) {
+			strategy.add(key)
+			setWeight(key, entry.pending ? 0 : weigh(result))
+		},
+		resolved(key, entry, { result }) { setWeight(key, weigh(result)) },
+		touched(key) { strategy.touch?.(key) },
+		removed(key) {
+			if (!weights.has(key)) return
+			total -= weights.get(key)
+			weights.delete(key)
+			strategy.remove(key)
+		},
+		evict() { return total > maxSize && weights.size > 0 ? strategy.victim() : undefined }
+	}
+}
+
+function oldest(set) {
+	return set.values().next().value
+}
+
+// lruPolicy() - Evicts the least recently used
+function lruPolicy(maxSize, weigh) {
+	const order = new Set()   // Set preserves insertion order: oldest first
+	return capacityPolicy(maxSize, weigh, {
+		add(key) { order.add(key) },
+		touch(key) { order.delete(key); order.add(key) },
+		remove(key) { order.delete(key) },
+		victim() { return oldest(order) }
+	})
+}
+
+// fifoPolicy() - Evicts the oldest stored, hits don't count
+function fifoPolicy(maxSize, weigh) {
+	const order = new Set()
+	return capacityPolicy(maxSize, weigh, {
+		add(key) { order.add(key) },
+		remove(key) { order.delete(key) },
+		victim() { return oldest(order) }
+	})
+}
+
+// lfuPolicy() - Evicts the least frequently used, oldest first among equals
+function lfuPolicy(maxSize, weigh) {
+	const uses = new Map()      // key → use count
+	const buckets = new Map()   // use count → Set of keys, oldest first
+	let least = 0
+	const place = (key, n) => {
+		if (!buckets.has(n)) buckets.set(n, new Set())
+		buckets.get(n).add(key)
+		uses.set(key, n)
+	}
+	const unplace = key => {
+		const n = uses.get(key)
+		buckets.get(n).delete(key)
+		if (buckets.get(n).size === 0) buckets.delete(n)
+		uses.delete(key)
+		return n
+	}
+	return capacityPolicy(maxSize, weigh, {
+		add(key) {
+			if (uses.has(key)) unplace(key)
+			place(key, 1)
+			least = 1
+		},
+		touch(key) {
+			const n = unplace(key)
+			place(key, n + 1)
+			if (!buckets.has(least)) least = n + 1
+		},
+		remove(key) { if (uses.has(key)) unplace(key) },
+		victim() {
+			if (!buckets.has(least)) least = Math.min(...buckets.keys())
+			return oldest(buckets.get(least))
+		}
+	})
+}
+
+// twoQueuePolicy() - 2Q (Johnson & Shasha): a new key waits in a FIFO
+// probation queue; only a key asked for again after leaving it (remembered
+// by key alone) joins the LRU main queue. A one-off scan churns through
+// probation and never displaces the hot keys.
+function twoQueuePolicy(maxSize, weigh, probationShare = 0.25) {
+	const probation = new Set()   // FIFO, first-time keys
+	const main = new Set()        // LRU, keys that proved hot
+	const ghosts = new Set()      // keys recently evicted from probation
+	return capacityPolicy(maxSize, weigh, {
+		add(key) {
+			if (ghosts.delete(key)) main.add(key)
+			else probation.add(key)
+		},
+		touch(key) { if (main.delete(key)) main.add(key) },
+		remove(key) { probation.delete(key); main.delete(key) },
+		victim() {
+			const resident = probation.size + main.size
+			if (main.size > 0 && probation.size <= resident * probationShare) return oldest(main)
+			const key = oldest(probation)
+			ghosts.add(key)
+			while (ghosts.size > resident) ghosts.delete(oldest(ghosts))
+			return key
+		}
+	})
+}
+
+// randomPolicy() - Evicts a random entry (random() in [0, 1) is injectable)
+function randomPolicy(maxSize, weigh, random = Math.random) {
+	const keys = []
+	const index = new Map()   // key → position in keys
+	return capacityPolicy(maxSize, weigh, {
+		add(key) {
+			if (index.has(key)) return
+			index.set(key, keys.length)
+			keys.push(key)
+		},
+		remove(key) {
+			const i = index.get(key)
+			if (i === undefined) return
+			const last = keys.pop()
+			if (last !== key) { keys[i] = last; index.set(last, i) }
+			index.delete(key)
+		},
+		victim() { return keys[Math.floor(random() * keys.length)] }
+	})
+}
+
+// Capacity policies selectable by name: memoize(fn, { maxSize, policy: 'lfu' })
+const evictionPolicies = {
+	lru: lruPolicy, fifo: fifoPolicy, lfu: lfuPolicy, '2q': twoQueuePolicy, random: randomPolicy
+}
+
+// ttl/maxSize/weigh/policy options → policy objects. `policy` may also be a
+// policy object (or an array of them) to combine with the built-in ones.
+function makePolicies({ ttl = Infinity, maxSize = Infinity, weigh, policy = 'lru', clock }) {
+	const policies = []
+	if (ttl !== Infinity) policies.push(ttlPolicy(ttl, clock))
+	if (typeof policy === 'string') {
+		if (!evictionPolicies[policy]) throw new Error(`Unknown eviction policy: ${policy}`)
+		if (maxSize !== Infinity) policies.push(evictionPolicies[policy](maxSize, weigh))
+	} else {
+		if (maxSize !== Infinity) policies.push(lruPolicy(maxSize, weigh))
+		policies.push(...[policy].flat())
+	}
+	return policies
+}
+
+// ----------------------------------------------------------------------------
+
+const COMPUTING = Symbol('computing')
+
+function memoFrame(memoized, key, args) {
+	return { memoized, key, get _label() { return memoLabel(memoized, args) } }
+}
+
+function memoLabel(memoized, args) {
+	return `${memoized.label}(${args.map(formatArg).join(",")})`
+}
+
+function formatArg(arg) {
+	if (typeof arg === 'function') return arg.name || "ƒ"
+	if (Array.isArray(arg)) return "[…]"
+	if (isObject(arg)) return (arg.constructor?.name ?? "") + "{…}"
+	return typeof arg === 'symbol' ? arg.toString() : primitiveKey(arg)
+}
+
+// Keys that come back from JSON as the same Map key
+function isPortableKey(key) {
+	return typeof key === 'string' || typeof key === 'boolean' || Number.isFinite(key)
+}
+
+// memoNode() - The frame of one cached call, which is also a graph node:
+// the vals fn reads are tracked as its sources, and callers that are
+// themselves tracking (a computed, an effect) observe it in turn. It stays
+// in the cache with the entry, so its label is formatted now rather than
+// by a getter that would hold on to args (and defeat 'collect').
+function memoNode(memoized, key, args) {
+	return {
+		memoized,
+		key,
+		_label: memoLabel(memoized, args),
+		_state: CLEAN,
+		_sources: new Set(),
+		_observers: new Set()
+	}
+}
+
+function memoCycle(memoized, key, args) {
+	const onStack = computeStack.findIndex(f => f.memoized === memoized && f.key === key)
+	return cycleError(onStack, onStack < 0 ? memoFrame(memoized, key, args) : computeStack[onStack])
+}
+
+// memoize() - Caches results, detects same-args-in-flight cycles
+//   { ttl }        expire results after ttl ms, or ttl(result, args) ms
+//   { maxSize }    bound the entry count, evicting by `policy` ('lru')
+//   { weigh }      weigh(result) → size, e.g. approximate bytes: maxSize
+//                  then bounds the total weight instead of the count
+//   { policy }     'lru' | 'fifo' | 'lfu' | '2q' | 'random', or policy
+//                  objects to add (see above)
+//   { keyFn }      identityKey (default), structuralKey or (...args) => key
+//   { onEvict }    onEvict(value, key, reason) when an entry leaves the
+//                  cache, e.g. to dispose of it; reason: 'evict' | 'expire' |
+//                  'invalidate' | 'dependency' | 'clear' | 'collect' |
+//                  'reject' | 'refresh'
+//   { staleWhileRevalidate }  serve an expired value at once and recompute
+//                  it in the background (at most { maxStale } ms past expiry)
+//   { sweepInterval }  drop expired entries every n ms, not just on access
+//   { clock }      () => ms, the time source for ttl (default Date.now)
+//   { store }      persist across runs: restored from store.load() now,
+//                  written with .save() and, unless { saveOnExit: false },
+//                  when the process exits (see fileStore/memoryStore)
+//   { version }    tag saved with snapshots; a snapshot with another tag is
+//                  discarded, so bump it whenever fn changes
+//   { label }      name used in cycle errors
+// Each entry remembers the vals (and computeds) fn read, so writing one drops
+// only the entries that read it, reason 'dependency', and a computed or effect
+// that called the memoized function re-runs. Restored entries read nothing.
+// Promise results are cached like any value; a rejected one is evicted, and
+// a background refresh replaces a stale promise only once it fulfills.
+// Every memoized function has the same handle:
+//   .clear()  .invalidate(...args)  .has(...args)  .peek(...args)
+//   .size     .entries()  .sweep()  .dispose()
+//   .snapshot()  .restore(snapshot)  .save()
+//   .on('hit' | 'stale' | 'miss' | 'recompute' | 'evict' | 'cycle' | 'error',
+//       listener) → off()
+//   .stats()  → { hits, staleHits, misses, hitRate, evictions, expirations,
+//                 invalidations, cycles, computeTime, size }
+function memoize(fn, options = {}) {
+	const {
+		label = fn.name || "memoized", keyFn = identityKey, onEvict,
+		staleWhileRevalidate = false, maxStale = Infinity, sweepInterval,
+		clock = Date.now, store: persistence, version = null, saveOnExit = true
+	} = options
+	const policies = makePolicies(options)
+	const cache = new Map()        // key → { value, pending, result, portable } | COMPUTING
+	const refreshing = new Set()   // keys with a background refresh under way
+	const events = createEmitter()
+	const stats = {
+		hits: 0, staleHits: 0, misses: 0, evictions: 0, expirations: 0,
+		invalidations: 0, cycles: 0, computeTime: 0
+	}
+	const removals = {
+		evict: 'evictions', expire: 'expirations',
+		invalidate: 'invalidations', dependency: 'invalidations'
+	}
+	const emit = (type, event) => events.emit(type, { type, label, ...event })
+
+	const isStored = entry => entry !== undefined && entry !== COMPUTING
+	const isLive = entry => isStored(entry) && !policies.some(p => p.expired?.(entry))
+	// expired, but only by age, and not by more than maxStale
+	const isServableStale = entry => staleWhileRevalidate && isStored(entry) &&
+		policies.every(p => !p.expired?.(entry) || (p.staleFor && p.staleFor(entry) <= maxStale))
+
+	function remove(key, reason) {
+		const entry = cache.get(key)
+		if (!isStored(entry)) return false
+		cache.delete(key)
+		collected.unregister(entry)
+		if (entry.node) retire(entry.node)
+		for (const p of policies) p.removed?.(key)
+		if (removals[reason]) stats[removals[reason]]++
+		emit('evict', { key, value: entry.value, reason })
+		onEvict?.(entry.value, key, reason)
+		return true
+	}
 
+	// Run fn as a frame on computeStack. The key reads COMPUTING meanwhile so
+	// recursion into the same args is caught; afterwards `previous` (a stale
+	// entry being refreshed) is put back until its replacement is ready.
+	// The vals fn reads become the sources of the entry's node, so writing
+	// one of them later drops just this entry (reason 'dependency').
+	function compute(key, args, previous) {
+		const node = memoNode(memoized, key, args)
+		node._invalidate = via => {
+			if (cache.get(key)?.node === node) remove(key, 'dependency')
+			unlink(node)
+			markObservers(node, DIRTY, [...via, node])
+		}
 		cache.set(key, COMPUTING)
-		const result = fn(...args)
-		cache.set(key, result)
+		computeStack.push(node)
+		const prevObserver = currentObserver
+		currentObserver = node
+		const started = performance.now()
+		let value
+		try {
+			value = fn(...args)
+		} catch (e) {
+			cache.delete(key)    // not a cycle next time
+			node._retired = true
+			throw e
+		} finally {
+			computeStack.pop()
+			currentObserver = prevObserver
+			track(node)          // the caller depends on whatever fn read
+			if (node._retired) retire(node)
+			if (previous) cache.set(key, previous)
+		}
+		const duration = performance.now() - started
+		node._value = value
+		stats.computeTime += duration
+		emit('recompute', { key, value, duration })
+		return { value, node }
+	}
+
+	function store(key, args, value, { portable = true, expiresAt, node } = {}) {
+		const entry = { value, pending: typeof value?.then === 'function', portable, node }
+		cache.set(key, entry)
+		for (const p of policies) p.added?.(key, entry, { args, result: value, expiresAt })
+		if (entry.pending) {
+			value.then(result => {
+				entry.pending = false
+				entry.result = result
+				if (cache.get(key) !== entry) return
+				for (const p of policies) p.resolved?.(key, entry, { args, result })
+				enforceCapacity()    // now that it can be weighed
+			}, () => {
+				if (cache.get(key) === entry) remove(key, 'reject')
+			})
+		}
+		if (args && keyFn === identityKey) releaseWithArgs(args, forgetter(remove, key), entry)
+		enforceCapacity()
+		return value
+	}
+
+	function enforceCapacity() {
+		for (const p of policies) {
+			for (let victim; (victim = p.evict?.()) !== undefined;) {
+				if (!remove(victim, 'evict')) p.removed?.(victim)   // policy out of step
+			}
+		}
+	}
+
+	// Recompute a stale entry after the current call returns; until the new
+	// value is ready (or if it fails) the stale one keeps being served
+	function revalidate(key, args, stale) {
+		if (refreshing.has(key)) return
+		refreshing.add(key)
+		const fail = error => {
+			refreshing.delete(key)
+			emit('error', { key, error })
+		}
+		const replace = (value, node) => {
+			refreshing.delete(key)
+			if (cache.get(key) !== stale) return retire(node)   // invalidated meanwhile
+			remove(key, 'refresh')
+			store(key, args, value, { node })
+		}
+		queueMicrotask(() => {
+			if (cache.get(key) !== stale) return refreshing.delete(key)
+			let value, node
+			try {
+				({ value, node } = compute(key, args, stale))
+			} catch (error) {
+				return fail(error)
+			}
+			if (typeof value?.then === 'function') value.then(() => replace(value, node), fail)
+			else replace(value, node)
+		})
+	}
+
+	function memoized(...args) {
+		const lookups = identityLookups
+		const key = keyFn(...args)
+		let entry = cache.get(key)
+		if (entry?.node?._state === CHECK) {    // a computed it read may have changed
+			update(entry.node)
+			entry = cache.get(key)
+		}
+
+		if (entry === COMPUTING) {
+			const error = memoCycle(memoized, key, args)
+			stats.cycles++
+			emit('cycle', { key, error })
+			throw error
+		}
+		if (isLive(entry)) {
+			for (const p of policies) p.touched?.(key, entry)
+			stats.hits++
+			emit('hit', { key, value: entry.value })
+			if (entry.node) track(entry.node)
+			return entry.value
+		}
+		if (isServableStale(entry)) {
+			for (const p of policies) p.touched?.(key, entry)
+			stats.staleHits++
+			emit('stale', { key, value: entry.value })
+			if (entry.node) track(entry.node)
+			revalidate(key, args, entry)
+			return entry.value
+		}
+		if (entry) remove(key, 'expire')
+		stats.misses++
+		emit('miss', { key })
+		const portable = identityLookups === lookups && isPortableKey(key)
+		const { value, node } = compute(key, args)
+		return store(key, args, value, { portable, node })
+	}
+
+	// snapshot() - Plain data of every live result that can outlive this
+	// process: no COMPUTING markers, no pending promises, no identity keys.
+	// A result the store's encoding would not bring back as it is (a BigInt,
+	// undefined, a Map under JSON) is left out, with an 'error' event.
+	function snapshot() {
+		const encodes = persistence?.encodes ?? (value => roundTrips(value))
+		const entries = []
+		for (const [key, entry] of cache) {
+			if (!isLive(entry) || entry.pending || !entry.portable) continue
+			const expiresAt = Math.min(...policies.map(p => p.expiresAt?.(entry) ?? Infinity))
+			const promise = typeof entry.value?.then === 'function'
+			const value = promise ? entry.result : entry.value
+			if (!encodes(value)) {
+				emit('error', { key, error: new TypeError(`Left ${label}(${key}) out of the snapshot: its result doesn't survive the store's encoding`) })
+				continue
+			}
+			entries.push({
+				key,
+				value,
+				...(expiresAt !== Infinity && { expiresAt }),
+				...(promise && { promise })
+			})
+		}
+		return { label, version, savedAt: clock(), entries }
+	}
+
+	// restore() - Load a snapshot; false if its version tag doesn't match
+	function restore(snapshot) {
+		if (!snapshot) return false
+		if (snapshot.version !== version) {
+			emit('error', { error: new Error(`Discarded snapshot version ${snapshot.version}, expected ${version}`) })
+			return false
+		}
+		for (const { key, value, expiresAt = Infinity, promise } of snapshot.entries) {
+			if (expiresAt <= clock()) continue
+			remove(key, 'refresh')
+			store(key, undefined, promise ? Promise.resolve(value) : value, { expiresAt })
+		}
+		return true
+	}
+
+	const save = () => persistence.save(snapshot())
+	// at exit nobody can catch it: a throw would end the process with code 1
+	const saveAtExit = () => {
+		try {
+			save()
+		} catch (error) {
+			emit('error', { error })
+		}
+	}
+	if (persistence) {
+		try {
+			restore(persistence.load())
+		} catch (error) {
+			emit('error', { error })       // unreadable snapshot: start empty
+		}
+		if (saveOnExit) exitSaves.add(saveAtExit)
+	}
 
-		if (cache.size > maxSize) {
-			cache.delete(cache.keys().next().value)  // evict oldest
+	// sweep() - Drop every entry that can no longer be served; returns how many
+	function sweep() {
+		let swept = 0
+		for (const [key, entry] of [...cache]) {
+			if (isStored(entry) && !isLive(entry) && !isServableStale(entry)) {
+				remove(key, 'expire')
+				swept++
+			}
 		}
-		return result
+		return swept
+	}
+	const sweeper = sweepInterval && setInterval(sweep, sweepInterval)
+	sweeper?.unref?.()             // never keeps the process alive
+
+	memoized.label = label
+	memoized.keyFn = keyFn
+	memoized.clear = () => { for (const key of [...cache.keys()]) remove(key, 'clear') }
+	memoized.invalidate = (...args) => remove(keyFn(...args), 'invalidate')
+	memoized.has = (...args) => isLive(cache.get(keyFn(...args)))
+	memoized.peek = (...args) => {      // no hit recorded, no recency change
+		const entry = cache.get(keyFn(...args))
+		return isLive(entry) ? entry.value : undefined
+	}
+	memoized.entries = function* () {
+		for (const [key, entry] of cache) if (isLive(entry)) yield [key, entry.value]
+	}
+	Object.defineProperty(memoized, 'size', {
+		get() { let n = 0; for (const _ of memoized.entries()) n++; return n }
+	})
+	memoized.sweep = sweep
+	memoized.dispose = () => {     // stop sweeping/saving and drop everything
+		clearInterval(sweeper)
+		exitSaves.delete(saveAtExit)
+		memoized.clear()
 	}
+	memoized.snapshot = snapshot
+	memoized.restore = restore
+	memoized.save = () => {
+		if (!persistence) throw new Error(`${label}: no store to save to`)
+		save()
+	}
+	memoized.on = events.on
+	graphRoots.set(memoized, () => [...cache.values()].filter(e => isStored(e) && e.node).map(e => e.node))
+	memoized.stats = () => ({
+		...stats,
+		hitRate: (stats.hits + stats.staleHits) / (stats.hits + stats.staleHits + stats.misses) || 0,
+		size: memoized.size
+	})
+
+	return memoized
+}
+
+// The spectrum as presets over memoize() (see the table at the top)
+
+// memoizedFn() - Caches forever
+function memoizedFn(fn, options) {
+	return memoize(fn, options)
+}
+
+// memoizedTTL() - Caches with expiration time (ms, or (result, args) => ms)
+function memoizedTTL(fn, ttlMs = 5000, options) {
+	return memoize(fn, { ...options, ttl: ttlMs })
 }
 
-// memoizedClear() - Caches with manual invalidation
-function memoizedClear(fn) {
-	const cache = new Map()
+// memoizedLRU() - Caches with size limit, evicts least recently used
+function memoizedLRU(fn, maxSize = 100, options) {
+	return memoize(fn, { ...options, maxSize, policy: 'lru' })
+}
+
+// memoizedClear() - Caches until .invalidate(...args) / .clear()
+function memoizedClear(fn, options) {
+	return memoize(fn, options)
+}
+
+// ============================================================================
+// ASYNC MEMOIZATION
+// ============================================================================
+
+// An async cycle can't use COMPUTING: a second caller of a pending key is
+// usually just concurrent. It is a cycle only when the call is made from
+// inside that key's own computation, which AsyncLocalStorage can tell us.
+const { AsyncLocalStorage } = require('node:async_hooks')
+const asyncChain = new AsyncLocalStorage()   // in-flight frames of this call chain
+
+// memoizedAsync() - memoize() for promise-returning functions
+//   - concurrent calls with the same args share one pending promise
+//   - rejections are evicted, never cached
+//   - memoized(...args, signal): a caller can abort its own wait; the shared
+//     computation (fn gets a signal as its last arg) aborts when all have
+//   - takes every memoize() option: ttl counts from when a promise fulfills,
+//     staleWhileRevalidate keeps the old promise until the new one does
+// computeTime in stats() runs until each promise settles.
+function memoizedAsync(fn, options = {}) {
+	const { label = fn.name || "memoized", keyFn = identityKey } = options
+	const calls = new WeakMap()   // promise → { settled, callers, controller }
+	let computeTime = 0
+	let asyncCycles = 0
 
-	const memoized = (...args) => {
-		const key = JSON.stringify(args)
+	const promises = memoize(start, { ...options, label, keyFn })
 
-		if (cache.has(key)) {
-			const val = cache.get(key)
-			if (val === COMPUTING) throw new Error(`Cycle at args: ${key}`)
-			return val
+	function start(...args) {
+		const call = { settled: false, callers: 0, controller: new AbortController() }
+		const started = performance.now()
+		const chain = [...(asyncChain.getStore() ?? []), memoFrame(memoized, keyFn(...args), args)]
+		const promise = asyncChain.run(chain, () =>
+			new Promise(resolve => resolve(fn(...args, call.controller.signal))))
+		const settle = () => {
+			call.settled = true
+			computeTime += performance.now() - started
 		}
+		promise.then(settle, settle)
+		calls.set(promise, call)
+		return promise
+	}
 
-		cache.set(key, COMPUTING)
-		const result = fn(...args)
-		cache.set(key, result)
-		return result
+	function memoized(...args) {
+		const signal = args.at(-1) instanceof AbortSignal ? args.pop() : undefined
+		if (signal?.aborted) return Promise.reject(signal.reason)
+
+		const key = keyFn(...args)
+		const chain = asyncChain.getStore() ?? []
+		const onChain = chain.findIndex(f => f.memoized === memoized && f.key === key)
+		if (onChain >= 0) {
+			const path = [...chain.slice(onChain), memoFrame(memoized, key, args)]
+			asyncCycles++
+			return Promise.reject(new CycleError(path.map(frame => frame._label)))
+		}
+
+		const promise = promises(...args)
+		const call = calls.get(promise)        // none for a restored result
+		return !call || call.settled ? promise : join(promise, signal, args)
 	}
 
-	memoized.clear = () => cache.clear()
-	memoized.invalidate = (...args) => cache.delete(JSON.stringify(args))
+	// One more caller waiting on a pending promise
+	function join(promise, signal, args) {
+		const call = calls.get(promise)
+		call.callers++
+		if (!signal) return promise               // can't abort: keeps it alive
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				reject(signal.reason)
+				if (--call.callers > 0 || call.settled) return
+				call.controller.abort(signal.reason)    // nobody is waiting anymore
+				if (promises.peek(...args) === promise) promises.invalidate(...args)
+			}
+			signal.addEventListener('abort', onAbort, { once: true })
+			promise.then(resolve, reject)
+				.finally(() => signal.removeEventListener('abort', onAbort))
+		})
+	}
+
+	// Same handle as memoize(); the cached values are the promises
+	for (const name of ['label', 'keyFn', 'clear', 'invalidate', 'has', 'peek', 'entries', 'sweep', 'dispose',
+		'snapshot', 'restore', 'save', 'on']) {
+		memoized[name] = promises[name]
+	}
+	Object.defineProperty(memoized, 'size', { get: () => promises.size })
+	graphRoots.set(memoized, graphRoots.get(promises))
+	memoized.stats = () => {
+		const stats = promises.stats()
+		return { ...stats, cycles: stats.cycles + asyncCycles, computeTime }
+	}
 
 	return memoized
 }
 
+// ============================================================================
+// GRAPH INSPECTION
+// ============================================================================
+
+// graphOf() - Everything connected to the given vals, computeds, effects
+// (their dispose) and memoized functions, upstream and downstream, as plain
+// data. Nothing is recomputed: values are the cached ones, maybe stale.
+//   { nodes: [{ id, label, kind, value, state, recomputes?, cycle }],
+//     edges: [{ from, to, cycle }],     from the dependency to its reader
+//     cycles: [["total", "tax", "subtotal", "total"], ...] }
+// A cycle is the last CycleError path through a node that hasn't computed
+// cleanly since; its edges are added even where the throw left none.
+// JSON.stringify(graphOf(...)) is the JSON export; see toDot/toMermaid.
+function graphOf(...roots) {
+	const ids = new Map()          // graph node → id
+	const queue = [], chains = new Set()
+	const visit = node => {
+		if (ids.has(node)) return
+		ids.set(node, `n${ids.size}`)
+		queue.push(node)
+	}
+	for (const [i, root] of roots.entries()) {
+		const nodes = graphRoots.get(root)?.() ?? (root?._observers instanceof Set ? [root] : null)
+		if (!nodes) {
+			throw new TypeError(`graphOf() argument ${i} (${formatValue(root)}) is not a val, computed, effect or memoized function`)
+		}
+		for (const node of nodes) visit(node)
+	}
+	while (queue.length) {
+		const node = queue.shift()
+		for (const source of node._sources ?? []) visit(source)
+		for (const observer of node._observers) visit(observer)
+		if (node._cycle) chains.add(node._cycle)
+	}
+	for (const chain of chains) for (const frame of chain) if (frame._observers) visit(frame)
+
+	const edges = new Map()        // "from to" → edge
+	for (const [node, id] of ids) {
+		for (const observer of node._observers) {
+			edges.set(`${id} ${ids.get(observer)}`, { from: id, to: ids.get(observer), cycle: false })
+		}
+	}
+	const inCycle = new Set()
+	for (const chain of chains) {
+		for (let i = 0; i + 1 < chain.length; i++) {
+			const from = ids.get(chain[i + 1]), to = ids.get(chain[i])   // chain[i] read chain[i + 1]
+			if (from === undefined || to === undefined) continue
+			edges.set(`${from} ${to}`, { from, to, cycle: true })
+			inCycle.add(chain[i]).add(chain[i + 1])
+		}
+	}
+
+	const nodes = [...ids].map(([node, id]) => ({
+		id,
+		label: node._label,
+		kind: node._effect ? 'effect' : node.memoized ? 'memo' : node._fn ? 'computed' : 'val',
+		value: node._state === undefined ? formatValue(node._v)
+			: node._effect || !('_value' in node) ? null : formatValue(node._value),
+		state: node._state === undefined ? 'clean' : ['clean', 'check', 'dirty'][node._state],
+		...(node._stats && { recomputes: node._stats.recomputes }),
+		cycle: inCycle.has(node)
+	}))
+	return { nodes, edges: [...edges.values()], cycles: [...chains].map(chain => chain.map(f => f._label)) }
+}
+
+// A short display string for any value
+function formatValue(value, max = 40) {
+	let text
+	try {
+		text = typeof value === 'object' && value !== null ? JSON.stringify(value) : undefined
+	} catch {}                     // circular
+	text ??= isObject(value) ? formatArg(value) : typeof value === 'symbol' ? value.toString() : primitiveKey(value)
+	return text.length > max ? text.slice(0, max - 1) + "…" : text
+}
+
+const nodeCaption = node => [
+	node.label + (node.value === null ? "" : " = " + node.value),
+	node.state + (node.recomputes === undefined ? "" : ` · ${node.recomputes} recomputes`)
+]
+
+// toDot() - Graphviz source: `dot -Tsvg` it. Vals are boxes, memo entries
+// notes, effects hexagons; dirty nodes dashed, cycles red.
+function toDot(graph, name = "values") {
+	const escape = text => text.replace(/[\\"]/g, "\\$&")
+	const shapes = { val: 'box', computed: 'ellipse', memo: 'note', effect: 'hexagon' }
+	const lines = [`digraph "${escape(name)}" {`, '\trankdir=LR']
+	for (const node of graph.nodes) {
+		const attrs = [`label="${nodeCaption(node).map(escape).join("\\n")}"`, `shape=${shapes[node.kind]}`]
+		if (node.state !== 'clean') attrs.push('style=dashed')
+		if (node.cycle) attrs.push('color=red')
+		lines.push(`\t${node.id} [${attrs.join(", ")}]`)
+	}
+	for (const edge of graph.edges) lines.push(`\t${edge.from} -> ${edge.to}${edge.cycle ? " [color=red]" : ""}`)
+	lines.push("}")
+	return lines.join("\n")
+}
+
+// toMermaid() - A Mermaid flowchart, same conventions as toDot()
+function toMermaid(graph) {
+	const escape = text => text.replace(/["<>]/g, c => `#${c.charCodeAt(0)};`)
+	const shapes = { val: ['[', ']'], computed: ['(', ')'], memo: ['[/', '/]'], effect: ['{{', '}}'] }
+	const lines = ["flowchart LR"]
+	for (const node of graph.nodes) {
+		const [open, close] = shapes[node.kind]
+		lines.push(`    ${node.id}${open}"${nodeCaption(node).map(escape).join("<br/>")}"${close}`)
+	}
+	graph.edges.forEach((edge, i) => {
+		lines.push(`    ${edge.from} ${edge.cycle ? "-.->" : "-->"} ${edge.to}`)
+		if (edge.cycle) lines.push(`    linkStyle ${i} stroke:red`)
+	})
+	const dirty = graph.nodes.filter(node => node.state !== 'clean').map(node => node.id)
+	const cyclic = graph.nodes.filter(node => node.cycle).map(node => node.id)
+	if (dirty.length) lines.push("    classDef stale stroke-dasharray:4", `    class ${dirty} stale`)
+	if (cyclic.length) lines.push("    classDef cycle stroke:red", `    class ${cyclic} cycle`)
+	return lines.join("\n")
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+// A store keeps one snapshot for one memoized function:
+//   load() → snapshot | undefined      save(snapshot)
+// Both are synchronous so a cache is warm by the time memoize() returns.
+// A snapshot is { label, version, savedAt, entries: [{ key, value, expiresAt?,
+// promise? }] }; values must survive the store's encoding (JSON by default),
+// which a store can check with encodes(value) → boolean.
+
+const fs = require('node:fs')
+
+// exitSaves - The saves of every memoizer with { saveOnExit }, all run by a
+// single exit listener (one each would trip Node's MaxListeners warning);
+// dispose() takes a memoizer out
+const exitSaves = new Set()
+process.on('exit', () => { for (const save of exitSaves) save() })
+
+// roundTrips() - Whether value comes back deepEqual() after stringify/parse
+function roundTrips(value, stringify = JSON.stringify, parse = JSON.parse) {
+	try {
+		const text = stringify(value)
+		return text !== undefined && deepEqual(parse(text), value)
+	} catch {
+		return false
+	}
+}
+
+// fileStore() - Snapshot in a file, as one JSON document or as NDJSON (a
+// header line, then one line per entry). Writes go to a temp file renamed
+// over the old one, so a crash never leaves half a snapshot.
+//   { format }              'json' | 'ndjson' (default: from the extension)
+//   { stringify, parse }    value encoding, JSON by default
+function fileStore(path, {
+	format = path.endsWith('.ndjson') ? 'ndjson' : 'json',
+	stringify = JSON.stringify, parse = JSON.parse
+} = {}) {
+	return {
+		encodes: value => roundTrips(value, stringify, parse),
+		load() {
+			let text
+			try {
+				text = fs.readFileSync(path, 'utf8')
+			} catch (e) {
+				if (e.code === 'ENOENT') return undefined
+				throw e
+			}
+			if (format === 'json') return parse(text)
+			const [header, ...entries] = text.split('\n').filter(Boolean).map(line => parse(line))
+			return { ...header, entries }
+		},
+		save(snapshot) {
+			const { entries, ...header } = snapshot
+			const text = format === 'json'
+				? stringify(snapshot)
+				: [header, ...entries].map(line => stringify(line)).join('\n') + '\n'
+			fs.writeFileSync(path + '.tmp', text)
+			fs.renameSync(path + '.tmp', path)
+		}
+	}
+}
+
+// memoryStore() - Keeps the snapshot in memory, JSON-encoded so nothing is
+// shared with the live cache: for tests, and to hand a cache to a new instance
+function memoryStore() {
+	let saved
+	return {
+		encodes: value => roundTrips(value),
+		load() { return saved === undefined ? undefined : JSON.parse(saved) },
+		save(snapshot) { saved = JSON.stringify(snapshot) }
+	}
+}
+
 // ============================================================================
 // DEMOS
 // ============================================================================
 
+setLogger(console.log)   // trace recomputations in the demos below
+
 console.log("=== computed() — reactive, invalidates on dep change ===")
 let x = val(3)
 let y = val(10)
@@ -176,19 +1720,284 @@ console.log("y.value = 20")
 console.log("result.value:", result.value)   // computed, 25
 console.log("result.value:", result.value)   // cached, 25
 
+console.log("\n=== computed() — automatic dependency tracking ===")
+const metric = val(true)
+const celsius = val(20)
+const fahrenheit = val(68)
+const temperature = computed(() => metric.value ? celsius.value + "°C" : fahrenheit.value + "°F")
+console.log("temperature.value:", temperature.value)   // computed, 20°C
+fahrenheit.value = 70
+console.log("fahrenheit.value = 70")
+console.log("temperature.value:", temperature.value)   // cached, not a dep now
+metric.value = false
+console.log("metric.value = false")
+console.log("temperature.value:", temperature.value)   // computed, 70°F
+celsius.value = 25
+console.log("celsius.value = 25")
+console.log("temperature.value:", temperature.value)   // cached, branch dropped
+
+console.log("\n=== effect() / subscribe() — push changes to side effects ===")
+const count = val(1, { label: "count" })
+const doubled = computed(() => count.value * 2)
+const stopLog = effect(() => console.log("  [effect] count:", count.value, "doubled:", doubled.value))
+const stopWatch = subscribe(doubled, (now, before) => console.log(`  [subscribe] doubled: ${before} → ${now}`))
+console.log("count.value = 2")                 // effect + subscriber
+count.value = 2
+stopLog()
+console.log("stopLog(); count.value = 3")      // subscriber only
+count.value = 3
+stopWatch()
+try {
+	effect(() => { count.value = count.value + 1 }, { label: "increment" })
+} catch (e) {
+	console.log("effect writing its own dep:", e.message)
+}
+
+console.log("\n=== reactiveArray/Map/Object — one signal per slot ===")
+const todos = reactiveArray(["write docs"], { label: "todos" })
+const offTodos = observeChanges(todos, record => console.log("  [change]", JSON.stringify(record)))
+const stopTodos = effect(() => console.log("  [effect] todos:", todos.length, "next:", todos[0]))
+todos.push("review PR")                       // [change] splice, [effect] 2 next: write docs
+todos[1] = "merge PR"                         // [change] set; no effect: neither slot it read
+todos.shift()                                 // [change] splice, [effect] 1 next: merge PR
+offTodos()
+stopTodos()
+const prices = reactiveMap([["apple", 1], ["pear", 2]], { label: "prices" })
+const stopApple = effect(() => console.log("  [effect] apple:", prices.get("apple")))
+prices.set("pear", 3)                         // nothing: the effect read apple only
+prices.set("apple", 2)                        // [effect] apple: 2
+stopApple()
+const settings = reactiveObject({ theme: "dark", fontSize: 12 }, { label: "settings" })
+const settingKeys = computed(() => Object.keys(settings).join(", "))
+console.log("keys:", settingKeys.value)        // [recomputing], theme, fontSize
+settings.fontSize = 14                         // value change: keys not recomputed
+delete settings.theme
+console.log("keys:", settingKeys.value)        // [recomputing], fontSize
+
+console.log("\n=== batch() — atomic writes, glitch-free propagation ===")
+const first = val("Ada")
+const last = val("Lovelace")
+const fullName = computed(() => first.value + " " + last.value)
+const stopName = effect(() => console.log("  [effect] fullName:", fullName.value))
+console.log('batch(() => { first = "Grace"; last = "Hopper" })')
+batch(() => { first.value = "Grace"; last.value = "Hopper" })   // no "Grace Lovelace"
+stopName()
+
+const a = val(1)                                 //      a
+const b = computed(() => a.value + 1)            //    ↙   ↘
+const c = computed(() => a.value * 10)           //   b     c
+const d = computed(() => [b.value, c.value])     //    ↘   ↙
+const stopD = effect(() => console.log("  [effect] d:", d.value))   // d
+console.log("a.value = 2")
+a.value = 2                                      // d runs once, sees b=3 c=20
+stopD()
+
+console.log("\n=== equals — equal values don't trigger recomputation ===")
+const n = val(2)
+const parity = computed(() => n.value % 2 ? "odd" : "even")
+const label = computed(() => "n is " + parity.value)
+console.log("label.value:", label.value)         // computes parity, label
+console.log("n.value = 4")
+n.value = 4
+console.log("label.value:", label.value)         // parity only: still "even"
+const point = val({ x: 1, y: 2 }, { equals: deepEqual })
+const norm = computed(() => Math.hypot(point.value.x, point.value.y))
+console.log("norm.value:", norm.value)
+console.log("point.value = { x: 1, y: 2 }")
+point.value = { x: 1, y: 2 }                     // structurally equal: ignored
+console.log("norm.value:", norm.value)           // cached
+
+console.log("\n=== createHistory() — undo, redo, checkpoints ===")
+const text = val("", { label: "text" })
+const cursor = val(0, { label: "cursor" })
+const words = computed(() => text.value.split(" ").filter(Boolean).length, { label: "words" })
+const edits = createHistory([text, cursor], { limit: 50 })
+const type = s => batch(() => {                  // text and cursor: one step
+	text.value += s
+	cursor.value = text.value.length
+})
+type("hello")
+edits.checkpoint("greeting")
+type(" big")
+type(" world")
+console.log(`"${text.value}" @${cursor.value}, words:`, words.value)   // "hello big world" @15, 3
+edits.undo()
+console.log(`"${text.value}" @${cursor.value}, words:`, words.value)   // "hello big" @9, 2
+edits.redo()
+console.log(`"${text.value}" @${cursor.value}, words:`, words.value)   // "hello big world" @15, 3
+edits.restore("greeting")
+console.log(`"${text.value}" @${cursor.value}, words:`, words.value)   // "hello" @5, 1
+edits.undo()                                     // the restore was a step too
+console.log(`"${text.value}" @${cursor.value}, words:`, words.value)   // "hello big world" @15, 3
+
 console.log("\n=== memoizedFn() — static, caches forever ===")
 const ack = memoizedFn((m, n) => {
 	if (m === 0) return n + 1
 	if (n === 0) return ack(m - 1, 1)
 	return ack(m - 1, ack(m, n - 1))
-})
+}, { label: "ack" })
 console.log("ack(3,4) =", ack(3, 4))          // 125 (fast due to memoization)
 console.log("ack(3,4) =", ack(3, 4))          // 125 (instant, cached)
 
+console.log("\n=== store — persist a cache across runs ===")
+const ackFile = require('node:path').join(require('node:os').tmpdir(), `ack-${process.pid}.ndjson`)
+const ackBody = (m, n) => {
+	if (m === 0) return n + 1
+	if (n === 0) return ackStored(m - 1, 1)
+	return ackStored(m - 1, ackStored(m, n - 1))
+}
+let ackStored = memoize(ackBody, { store: fileStore(ackFile), version: "ack-1", saveOnExit: false })
+ackStored(2, 3)
+ackStored.save()
+console.log("saved:", ackStored.size, "entries")
+ackStored = memoize(ackBody, { store: fileStore(ackFile), version: "ack-1" })   // "next run"
+console.log("restored:", ackStored.size, "entries, ack(2,3) cached:", ackStored.has(2, 3))
+ackStored.dispose()
+ackStored = memoize(ackBody, { store: fileStore(ackFile), version: "ack-2", saveOnExit: false })
+console.log("after a version bump:", ackStored.size, "entries")   // discarded
+fs.unlinkSync(ackFile)
+
+console.log("\n=== CycleError — the full dependency path ===")
+let total
+const subtotal = computed(() => total.value - 10, { label: "subtotal" })
+const tax = computed(() => subtotal.value * 0.2, { label: "tax" })
+total = computed(() => tax.value + subtotal.value, { label: "total" })
+try { total.value } catch (e) { console.log(e.name + ":", e.message) }
+// total → tax → subtotal → total
+
+const hop = memoizedFn(n => hop((n + 1) % 3), { label: "hop" })
+try { hop(0) } catch (e) { console.log(e.name + ":", e.message) }
+// hop(0) → hop(1) → hop(2) → hop(0)
+
+console.log("\n=== keyFn — cache keys for every kind of argument ===")
+const kind = memoizedFn(v => { console.log("  [computing]", v); return typeof v })
+for (const v of [undefined, null, NaN, 0, -0, 0]) kind(v)   // 5 computations
+// JSON.stringify keys: [undefined], [null], [NaN] all were "[null]"
+
+const p1 = { id: 1 }
+const p2 = { id: 1 }
+const byIdentity = memoizedFn(p => { console.log("  [by identity]", p); return p.id })
+const byShape = memoizedFn(p => { console.log("  [by shape]", p); return p.id }, { keyFn: structuralKey })
+const byId = memoizedFn(p => { console.log("  [by id]", p); return p.id }, { keyFn: p => p.id })
+for (const p of [p1, p2]) { byIdentity(p); byShape(p); byId(p) }   // 2, 1, 1 computations
+
+const ring = { name: "ring" }
+ring.self = ring
+console.log("structuralKey(ring):", structuralKey(ring))   // circular: no throw
+
 console.log("\n=== memoizedClear() — manual invalidation ===")
 const square = memoizedClear(x => { console.log("  [computing]"); return x * x })
 console.log("square(5):", square(5))          // [computing], 25
 console.log("square(5):", square(5))          // 25 (cached)
 console.log("square.invalidate(5)")
 square.invalidate(5)
-console.log("square(5):", square(5))          // [computing], 25 (recomputed)
\ No newline at end of file
+console.log("square(5):", square(5))          // [computing], 25 (recomputed)
+
+console.log("\n=== memoize() + val — entries invalidated by what they read ===")
+const taxRate = val(0.2, { label: "taxRate" })
+const price = memoize((item, qty) => {
+	console.log(`  [pricing] ${item} x${qty}`)
+	const net = qty * 10
+	return item === "book" ? net : net * (1 + taxRate.value)    // books are tax-free
+}, { label: "price", onEvict: (value, key, reason) => console.log(`  [${reason}]`, key) })
+const basket = computed(() => price("book", 2) + price("pen", 3), { label: "basket" })
+console.log("basket:", basket.value)          // [pricing] book x2, [pricing] pen x3, [recomputing], 56
+taxRate.value = 0.5                           // [dependency] "pen",3 only
+console.log("price('book', 2):", price("book", 2))   // 20 (still cached)
+console.log("basket:", basket.value)          // [pricing] pen x3, [recomputing], 65
+
+console.log("\n=== graphOf() — export the dependency graph ===")
+taxRate.value = 0.6                           // [dependency] "pen",3: basket left dirty
+console.log(toDot(graphOf(basket)))
+const totalGraph = graphOf(total)             // the cycle from above
+console.log(toMermaid(totalGraph))
+console.log(JSON.stringify(totalGraph.cycles))  // [["total","tax","subtotal","total"]]
+
+console.log("\n=== stats() / on() — instrumentation ===")
+const lru = memoizedLRU(n => n * n, 3, { label: "sq" })
+const offMiss = lru.on('miss', e => console.log(`  [miss] ${e.label} key ${e.key}`))
+for (const n of [1, 2, 3, 1, 4, 1, 2]) lru(n)
+offMiss()
+const { hits, misses, hitRate, evictions } = lru.stats()
+console.log({ hits, misses, hitRate: hitRate.toFixed(2), evictions })
+setLogger(null)
+n.value = 5                                        // no [recomputing] lines now
+console.log("setLogger(null); n.value = 5; label.value:", label.value)
+console.log("recomputes — parity:", parity.stats().recomputes, "label:", label.stats().recomputes)
+setLogger(console.log)
+
+console.log("\n=== memoize() — one cache, combined policies ===")
+const lookup = memoize(id => { console.log("  [computing]", id); return "item" + id }, {
+	ttl: 60_000,
+	maxSize: 2,
+	onEvict: (value, key, reason) => console.log(`  [${reason}]`, value)
+})
+lookup(1); lookup(2); lookup(1); lookup(3)       // 3 evicts 2: least recently used
+console.log("size:", lookup.size, "entries:", [...lookup.entries()])
+console.log("has(2):", lookup.has(2), "peek(1):", lookup.peek(1))
+lookup.invalidate(1)                               // [invalidate] item1
+lookup.clear()                                     // [clear] item3
+
+console.log("\n=== eviction policies — hot keys vs a scan, weighed entries ===")
+for (const policy of ["lru", "fifo", "lfu", "2q"]) {
+	const cached = memoize(k => k, { maxSize: 4, policy })
+	for (let round = 0; round < 20; round++) {
+		for (const hot of ["a", "b", "a", "b"]) cached(hot)
+		for (let i = 0; i < 4; i++) cached(`scan${round}.${i}`)   // one-off keys
+	}
+	console.log(`${policy.padEnd(4)} hits: ${cached.stats().hits}/160`)   // lfu, 2q keep a, b
+}
+const buffer = memoize(size => ({ bytes: new Uint8Array(size), dispose() { console.log(`  [dispose] ${size} bytes`) } }), {
+	maxSize: 1024,                                   // bytes, not entries
+	weigh: b => b.bytes.byteLength,
+	onEvict: b => b.dispose()
+})
+buffer(512); buffer(256); buffer(512)
+console.log("buffer(400)")
+buffer(400)                                        // 1168 bytes: 256 goes (LRU)
+
+// async demos run last, after every synchronous one has printed
+;(async () => {
+	const { setTimeout: sleep } = require('node:timers/promises')
+
+	console.log("\n=== memoizedAsync() — shared in-flight promises ===")
+	const fetchUser = memoizedAsync(async (id, signal) => {
+		console.log("  [fetching]", id)
+		await sleep(20, undefined, { signal })
+		return { id, name: "user" + id }
+	}, { ttl: 1000, maxSize: 10, label: "fetchUser" })
+	const [u1, u2] = await Promise.all([fetchUser(1), fetchUser(1)])   // one fetch
+	console.log("concurrent fetchUser(1) share a result:", u1 === u2)
+
+	let attempts = 0
+	const flaky = memoizedAsync(async () => {
+		if (++attempts === 1) throw new Error("network down")
+		return "ok"
+	})
+	console.log("flaky():", await flaky().catch(e => e.message))   // network down
+	console.log("flaky():", await flaky())                          // ok: not cached
+
+	const controller = new AbortController()
+	const pending = fetchUser(2, controller.signal)
+	controller.abort()
+	console.log("aborted fetchUser(2):", await pending.catch(e => e.name))   // AbortError
+
+	console.log("\n=== memoize() — ttl(result), stale-while-revalidate, clock ===")
+	let now = 0
+	const quote = memoize(symbol => {
+		console.log(`  [fetching] ${symbol} at t=${now}`)
+		return { symbol, price: 100 + now / 100, maxAge: symbol === "BTC" ? 1000 : 5000 }
+	}, { ttl: q => q.maxAge, staleWhileRevalidate: true, maxStale: 2000, clock: () => now })
+	quote("BTC")
+	quote("EUR")
+	now = 1500
+	console.log("BTC at t=1500:", quote("BTC").price)   // 100: stale, refresh queued
+	await null
+	console.log("BTC after refresh:", quote("BTC").price)   // 115
+	now = 9000
+	console.log("t=9000, swept:", quote.sweep())       // both past expiry + maxStale
+
+	const ping = memoizedAsync(async n => { await null; return ping(1 - n) }, { label: "ping" })
+	console.log("ping(0):", await ping(0).catch(e => e.message))
+	// Cycle detected: ping(0) → ping(1) → ping(0)
+})()